@@ -0,0 +1,151 @@
+const chalk = require('chalk');
+const { execSync, execFileSync } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const { loadConfig } = require('../utils/config');
+const { silentReporter } = require('../utils/output');
+
+/**
+ * @typedef {object} CreateProjectOptions
+ * @property {string} [repo] - Git repository URL (default: project.repositoryUrl from the config)
+ * @property {string} [name] - Directory name for the cloned project
+ * @property {string} [branch] - Branch to clone
+ * @property {number|string} [depth] - Create a shallow clone with this depth
+ * @property {boolean} [install] - Run npm install in the cloned project
+ * @property {string} [config] - Path to config file (default: found in this or a parent directory)
+ */
+
+/**
+ * @typedef {object} CreateProjectResult
+ * @property {string} repository - Cloned repository URL
+ * @property {string|null} branch - Cloned branch
+ * @property {string} path - Absolute path of the cloned project
+ * @property {string} directory - Directory name of the cloned project
+ * @property {boolean} hasPackageJson - Whether the project has a package.json
+ * @property {boolean} installed - Whether npm install ran successfully
+ */
+
+/**
+ * Clone the project's git repository into the current directory
+ * @param {CreateProjectOptions} [options] - Options, named like the CLI flags
+ * @param {object} [reporter] - Output target, the CLI passes one that prints (default: silent)
+ * @returns {Promise<CreateProjectResult>}
+ */
+async function createProject(options = {}, reporter = silentReporter) {
+  const { spinner, log } = reporter;
+  
+  // Load configuration
+  spinner.start('Loading configuration...');
+  const config = loadConfig(options.config);
+  spinner.succeed('Configuration loaded');
+  
+  // Get repo URL from config or CLI
+  const repoUrl = options.repo || config.project?.repositoryUrl;
+  
+  if (!repoUrl) {
+    const error = new Error('No repository URL specified');
+    error.missing = ['project.repositoryUrl'];
+    throw error;
+  }
+  
+  // Determine target directory
+  const targetDir = options.dir || config.project?.targetDirectory || '.';
+  const fullTargetPath = path.resolve(process.cwd(), targetDir);
+  
+  // Extract repo name for folder name if cloning to current dir
+  let cloneDir = fullTargetPath;
+  if (targetDir === '.' && !options.name) {
+    // Will clone into repo name folder by default
+  } else if (options.name) {
+    cloneDir = path.resolve(process.cwd(), options.name);
+  }
+  
+  // Check if git is installed
+  try {
+    execFileSync('git', ['--version'], { stdio: 'pipe' });
+  } catch (e) {
+    throw new Error('Git is not installed or not in PATH');
+  }
+  
+  // Display clone info
+  log(chalk.gray('\n📋 Clone Details:'));
+  log(chalk.gray(`   Repository: ${repoUrl}`));
+  log(chalk.gray(`   Target: ${cloneDir === fullTargetPath ? 'Current directory' : cloneDir}`));
+  
+  if (options.branch) {
+    log(chalk.gray(`   Branch: ${options.branch}`));
+  }
+  log('');
+  
+  // Build git clone arguments, passed without a shell so no value is interpreted by it
+  const gitArgs = ['clone'];
+  
+  if (options.branch) {
+    gitArgs.push('-b', String(options.branch));
+  }
+  
+  if (options.depth) {
+    gitArgs.push('--depth', String(options.depth));
+  }
+  
+  // "--" keeps a repository URL or name starting with "-" from being read as an option
+  gitArgs.push('--', repoUrl);
+  
+  if (options.name) {
+    gitArgs.push(options.name);
+  }
+  
+  // Clone the repository
+  spinner.start('Cloning repository...');
+  
+  try {
+    execFileSync('git', gitArgs, { 
+      cwd: process.cwd(),
+      stdio: 'pipe'
+    });
+    spinner.succeed('Repository cloned successfully');
+  } catch (error) {
+    throw new Error((error.stderr?.toString() || error.message).trim());
+  }
+  
+  // Determine the cloned directory name
+  let clonedDirName = options.name;
+  if (!clonedDirName) {
+    // Extract from URL
+    clonedDirName = repoUrl
+      .split('/')
+      .pop()
+      .replace(/\.git$/, '');
+  }
+  
+  const clonedPath = path.resolve(process.cwd(), clonedDirName);
+  
+  // Install dependencies if requested and the project has a package.json
+  const hasPackageJson = fs.existsSync(path.join(clonedPath, 'package.json'));
+  let installed = false;
+  if (hasPackageJson && options.install) {
+    spinner.start('Installing dependencies...');
+    try {
+      execSync('npm install', { 
+        cwd: clonedPath,
+        stdio: 'pipe'
+      });
+      spinner.succeed('Dependencies installed');
+      installed = true;
+    } catch (error) {
+      spinner.warn('Failed to install dependencies');
+      log(chalk.yellow(`   Run 'cd ${clonedDirName} && npm install' manually`));
+    }
+  }
+  
+  return {
+    repository: repoUrl,
+    branch: options.branch || null,
+    path: clonedPath,
+    directory: clonedDirName,
+    hasPackageJson,
+    installed
+  };
+}
+
+module.exports = { createProject };
@@ -0,0 +1,731 @@
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, mergeWithCliOptions, validateConfig } = require('../utils/config');
+const { scanDirectory, getRemoteDirectories, getFilesToDelete } = require('../utils/fileScanner');
+const { SSHDeployer } = require('../utils/sshDeployer');
+const { MANIFEST_FILENAME, buildManifest, getChangedFiles } = require('../utils/manifest');
+const { RELEASES_DIR, CURRENT_LINK, createReleaseId, getReleasesToPrune } = require('../utils/releases');
+const { createArchive, removeArchive } = require('../utils/archive');
+const { createIgnoreMatcher } = require('../utils/ignore');
+const { formatSize, formatDuration, createEmitter, silentReporter, createProgress } = require('../utils/output');
+const { HOOK_NAMES, LOCAL_HOOKS, normalizeHook, describeHook, createHookEnv, runLocalHook, runRemoteHook } = require('../utils/hooks');
+
+/**
+ * Print what a deploy would do without performing it
+ * @param {object} plan - Deploy plan
+ * @param {string[]} plan.directories - Remote directories to create
+ * @param {Array<{local: string, remote: string}>} plan.files - Files to upload
+ * @param {object} plan.manifest - Local manifest with file sizes
+ * @param {string[]} plan.filesToDelete - Remote files to delete
+ * @param {string|null} plan.scriptName - Script to run after deployment
+ * @param {object} plan.hooks - Configured hooks by name
+ * @param {string|null} plan.releaseId - Release that would be created (release mode)
+ * @param {boolean} plan.compared - Whether files were compared with the remote
+ * @param {function} log - Output function
+ */
+function printPlan({ directories, files, manifest, filesToDelete, scriptName, hooks, releaseId, compared }, log) {
+  log(chalk.cyan('\n📝 Dry run - nothing will be uploaded\n'));
+  
+  if (releaseId) {
+    log(chalk.white('Release to create:'));
+    log(chalk.gray(`   ${RELEASES_DIR}/${releaseId}\n`));
+  }
+  
+  log(chalk.white(`Directories to create (${directories.length}):`));
+  directories.forEach(dir => {
+    log(chalk.gray(`   ${dir}/`));
+  });
+  
+  const totalSize = files.reduce((sum, file) => sum + manifest.files[file.remote].size, 0);
+  const label = compared ? 'Files that differ from remote' : 'Files to upload';
+  log(chalk.white(`\n${label} (${files.length}, ${formatSize(totalSize)}):`));
+  files.forEach(file => {
+    log(chalk.gray(`   ${file.remote} ${chalk.dim(`(${formatSize(manifest.files[file.remote].size)})`)}`));
+  });
+  
+  if (filesToDelete.length > 0) {
+    log(chalk.white(`\nRemote files to delete (${filesToDelete.length}):`));
+    filesToDelete.forEach(file => {
+      log(chalk.red(`   ${file}`));
+    });
+  }
+  
+  log(chalk.white('\nScript to run:'));
+  log(chalk.gray(`   ${scriptName || 'none (use -r to run a script)'}`));
+  
+  const configuredHooks = HOOK_NAMES.filter(name => hooks[name]);
+  if (configuredHooks.length > 0) {
+    log(chalk.white('\nHooks:'));
+    configuredHooks.forEach(name => {
+      const where = LOCAL_HOOKS.includes(name) ? 'local' : 'remote';
+      log(chalk.gray(`   ${name} (${where}): ${describeHook(hooks[name])}`));
+    });
+  }
+  
+  if (!compared) {
+    log(chalk.gray('\n💡 Add --compare to connect and show only files that differ from the remote'));
+  }
+  log('');
+}
+
+/**
+ * Upload files one by one over concurrent transfers, drawing a progress bar
+ * @param {SSHDeployer} deployer - Connected deployer
+ * @param {string} uploadDir - Remote directory to upload into
+ * @param {Array<{local: string, remote: string}>} files - Files to upload
+ * @param {number} concurrency - Number of parallel transfers
+ * @param {object} reporter - Output target (see createHostReporter)
+ * @param {Function} emit - Emit function of the deploy
+ */
+async function uploadWithProgress(deployer, uploadDir, files, concurrency, reporter, emit) {
+  const start = Date.now();
+  // Fan-out deploys draw no bar, but events are still emitted
+  const progress = createProgress({
+    fields: { operation: 'upload', host: reporter.host },
+    color: chalk.cyan,
+    draw: reporter.progress,
+    emit
+  });
+  const onProgress = (current, total, filename, { bytes, totalBytes }) => {
+    const elapsed = (Date.now() - start) / 1000;
+    const rate = elapsed > 0 ? bytes / elapsed : 0;
+    const eta = rate > 0 ? (totalBytes - bytes) / rate : Infinity;
+    progress.update(
+      Math.round((current / total) * 100),
+      `${formatSize(rate)}/s ETA ${formatDuration(eta)} - ${filename}`,
+      { files: current, totalFiles: total, bytes, totalBytes }
+    );
+  };
+  
+  // Without a progress bar just report the result
+  if (!reporter.progress) {
+    reporter.spinner.start(`Uploading ${files.length} files...`);
+    await deployer.uploadFiles(uploadDir, files, onProgress, { concurrency });
+    reporter.spinner.succeed(`Uploaded ${files.length} files in ${formatDuration((Date.now() - start) / 1000)}`);
+    return;
+  }
+  
+  reporter.log(chalk.cyan(`\n📤 Uploading files (${concurrency} parallel transfers)...\n`));
+  await deployer.uploadFiles(uploadDir, files, onProgress, { concurrency });
+  progress.done();
+  
+  reporter.log('');
+  reporter.log(chalk.green(`✅ Successfully uploaded ${files.length} files in ${formatDuration((Date.now() - start) / 1000)}\n`));
+}
+
+/**
+ * Upload files as a single tarball and extract it on the remote
+ * @param {SSHDeployer} deployer - Connected deployer
+ * @param {object} spinner - Ora spinner
+ * @param {string} sourceDir - Local source directory
+ * @param {string} uploadDir - Remote directory to extract into
+ * @param {Array<{local: string, remote: string}>} files - Files to upload
+ * @returns {Promise<boolean>} False if tar is not available on the remote
+ */
+async function uploadAsArchive(deployer, spinner, sourceDir, uploadDir, files) {
+  spinner.start('Checking for tar on remote...');
+  if (!(await deployer.hasCommand('tar'))) {
+    spinner.warn('tar not found on remote, falling back to per-file upload');
+    return false;
+  }
+  
+  spinner.start(`Packing ${files.length} files...`);
+  const archivePath = await createArchive(sourceDir, files);
+  
+  try {
+    const size = fs.statSync(archivePath).size;
+    spinner.succeed(`Packed ${files.length} files (${formatSize(size)})`);
+    
+    const start = Date.now();
+    spinner.start(`Uploading and extracting archive (${formatSize(size)})...`);
+    await deployer.uploadArchive(uploadDir, archivePath);
+    spinner.succeed(`Uploaded and extracted archive in ${formatDuration((Date.now() - start) / 1000)}`);
+  } finally {
+    removeArchive(archivePath);
+  }
+  
+  return true;
+}
+
+/**
+ * Describe why a script run failed
+ * @param {object} scriptResult - Result of SSHDeployer.executeScript
+ * @param {number} timeout - Script timeout in seconds
+ * @returns {{message: string, exitCode: number}|null} Failure with the exit code for the CLI, or null on success
+ */
+function getScriptFailure(scriptResult, timeout) {
+  if (scriptResult.timedOut) {
+    return { message: `Script timed out after ${timeout}s`, exitCode: 124 };
+  }
+  if (scriptResult.interrupted) {
+    return { message: 'Script was interrupted', exitCode: 130 };
+  }
+  if (scriptResult.code === 0) {
+    return null;
+  }
+  if (scriptResult.code === null) {
+    return { message: `Script was killed${scriptResult.signal ? ` by SIG${scriptResult.signal}` : ''}`, exitCode: 1 };
+  }
+  
+  return { message: `Script exited with code ${scriptResult.code}`, exitCode: scriptResult.code };
+}
+
+/**
+ * Create an output target that prefixes every line with the host name,
+ * used when deploying to several hosts at once
+ * @param {string} host - Host name
+ * @param {Function} print - Log function of the deploy
+ * @returns {object} Reporter with a spinner-compatible object, a log function and the host
+ */
+function createHostReporter(host, print) {
+  const prefix = chalk.gray(`[${host}]`);
+  const line = (symbol, text) => print(`${prefix} ${symbol} ${text}`);
+  
+  return {
+    spinner: {
+      start: () => {},
+      succeed: text => line(chalk.green('✔'), text),
+      info: text => line(chalk.blue('ℹ'), text),
+      warn: text => line(chalk.yellow('⚠'), text),
+      fail: text => line(chalk.red('✖'), text)
+    },
+    log: (message = '') => {
+      message.split('\n')
+        .filter(text => text.trim())
+        .forEach(text => print(`${prefix} ${text}`));
+    },
+    progress: false,
+    host
+  };
+}
+
+/**
+ * Deploy the scanned files to a single host
+ * @param {object} context - Deploy context
+ * @param {object} context.config - Resolved configuration (connection.host is the target host)
+ * @param {object} context.options - CLI options
+ * @param {string} context.sourceDir - Local source directory
+ * @param {IgnoreMatcher} context.matcher - Exclusion rules of the source directory
+ * @param {Array<{local: string, remote: string}>} context.files - Scanned local files
+ * @param {object} context.localManifest - Manifest of scanned files
+ * @param {string|null} context.releaseId - Release id in release mode
+ * @param {object} context.hooks - Normalized hooks by name
+ * @param {object} context.reporter - Output target
+ * @param {Function} context.emit - Emit function of the deploy
+ * @param {Map<string, SSHDeployer>} [context.connections] - Receives the connection of a successful deploy instead of closing it
+ * @returns {Promise<object>} Result with uploaded/deleted file counts and script exit code
+ */
+async function deployToHost({ config, options, sourceDir, matcher, files, localManifest, releaseId, hooks, reporter, emit, connections }) {
+  const { spinner, log } = reporter;
+  const { host } = config.connection;
+  const deployer = new SSHDeployer();
+  const timeout = options.scriptTimeout || config.scripts.timeout;
+  const counts = { changedFiles: files.length, deletedFiles: 0 };
+  
+  // In release mode files go into a new release directory next to the current one
+  const targetDir = config.connection.targetDirectory;
+  const releaseMode = Boolean(releaseId);
+  const currentDir = releaseMode ? `${targetDir}/${CURRENT_LINK}` : targetDir;
+  const uploadDir = releaseMode ? `${targetDir}/${RELEASES_DIR}/${releaseId}` : targetDir;
+  // A release that was created but not activated is removed when the deploy fails
+  let unactivatedRelease = null;
+  
+  /**
+   * Print the output of a remote command and pass it on as "output" events
+   * @param {string} source - Script or hook name
+   * @returns {{onStdout: Function, onStderr: Function}}
+   */
+  const outputHandlers = source => ({
+    onStdout: (line) => {
+      log(chalk.white(line));
+      emit('output', { host, source, stream: 'stdout', line });
+    },
+    onStderr: (line) => {
+      log(chalk.yellow(line));
+      emit('output', { host, source, stream: 'stderr', line });
+    }
+  });
+  
+  /**
+   * Run a remote hook if it is configured
+   * @param {string} name - Hook name
+   * @param {object} [extra] - Extra deploy details for the hook environment
+   */
+  const runHook = async (name, extra = {}) => {
+    if (!hooks[name]) return;
+    
+    log(chalk.cyan(`\n🪝 Running ${name} hook: ${describeHook(hooks[name])}\n`));
+    const env = createHookEnv(name, {
+      target: config.target,
+      host,
+      targetDirectory: targetDir,
+      deployDirectory: uploadDir,
+      releaseId,
+      ...counts,
+      ...extra
+    });
+    await runRemoteHook(deployer, name, hooks[name], env, { sourceDir, timeout, ...outputHandlers(name) });
+    spinner.succeed(`${name} hook finished`);
+    emit('hook', { host, name });
+  };
+  
+  try {
+    // A dry run only connects when comparing with the remote
+    let filesToUpload = files;
+    let filesToDelete = [];
+    if (!options.dryRun || options.compare) {
+      // Connect to server
+      spinner.start(`Connecting to ${host}...`);
+      await deployer.connect(config.connection);
+      spinner.succeed('Connected to server');
+      emit('connected', { host });
+      
+      // Get server info
+      try {
+        const serverInfo = await deployer.getServerInfo();
+        log(chalk.gray(`   Server: ${serverInfo.hostname} (${serverInfo.os})`));
+        log(chalk.gray(`   Uptime: ${serverInfo.uptime}\n`));
+      } catch (e) {
+        // Server info is optional, don't fail if it doesn't work
+      }
+      
+      // Compare with remote manifest to find changed files
+      if (options.full) {
+        log(chalk.gray('   Full upload requested, skipping remote manifest\n'));
+      } else {
+        spinner.start('Comparing with remote manifest...');
+        const remoteManifest = await deployer.readManifest(currentDir);
+        
+        if (remoteManifest) {
+          filesToUpload = getChangedFiles(files, localManifest, remoteManifest);
+          spinner.succeed(`${chalk.green(filesToUpload.length)} changed, ${files.length - filesToUpload.length} unchanged`);
+          emit('compare', { host, changed: filesToUpload.length, unchanged: files.length - filesToUpload.length });
+        } else {
+          spinner.info('No remote manifest found, uploading all files');
+        }
+      }
+      
+      // Find remote files that no longer exist locally (mirror mode).
+      // A new release starts as a copy of the current one, so it is always pruned.
+      if (releaseMode || options.delete || config.deploy.mirror) {
+        spinner.start('Checking remote for deleted files...');
+        const remoteFiles = await deployer.listFiles(
+          currentDir,
+          config.deploy.excludeDirectories
+        );
+        filesToDelete = getFilesToDelete(
+          remoteFiles.filter(file => file !== MANIFEST_FILENAME),
+          files,
+          matcher
+        );
+        
+        if (filesToDelete.length > 0) {
+          spinner.warn(`${chalk.red(filesToDelete.length)} remote files will be deleted:`);
+          filesToDelete.forEach(file => {
+            log(chalk.red(`   - ${file}`));
+          });
+          log('');
+        } else {
+          spinner.succeed('No remote files to delete');
+        }
+      }
+    }
+    
+    counts.changedFiles = filesToUpload.length;
+    counts.deletedFiles = filesToDelete.length;
+    
+    const directories = getRemoteDirectories(filesToUpload);
+    const scriptName = options.run === undefined
+      ? null
+      : (typeof options.run === 'string' ? options.run : config.scripts.afterDeploy);
+    const result = { filesUploaded: 0, filesDeleted: 0, scriptCode: null };
+    
+    // Print the plan and stop without touching the server
+    if (options.dryRun) {
+      emit('plan', {
+        host,
+        releaseId,
+        directories,
+        files: filesToUpload.map(file => ({ path: file.remote, size: localManifest.files[file.remote].size })),
+        filesToDelete,
+        script: scriptName,
+        hooks: HOOK_NAMES.filter(name => hooks[name]),
+        compared: Boolean(options.compare)
+      });
+      printPlan({
+        directories,
+        files: filesToUpload,
+        manifest: localManifest,
+        filesToDelete,
+        scriptName,
+        hooks,
+        releaseId,
+        compared: Boolean(options.compare)
+      }, log);
+      return result;
+    }
+    
+    // Create the release directory from a copy of the current release
+    if (releaseMode) {
+      spinner.start(`Preparing release ${releaseId}...`);
+      unactivatedRelease = releaseId;
+      await deployer.prepareRelease(targetDir, releaseId);
+      spinner.succeed(`Prepared release ${releaseId}`);
+    }
+    
+    await runHook('beforeUpload');
+    
+    // Create directories, and the upload directory itself even for a flat project:
+    // parallel uploads into a missing directory race to create it
+    if (directories.length > 0) {
+      spinner.start(`Creating ${directories.length} directories...`);
+      await deployer.createDirectories(uploadDir, directories);
+      spinner.succeed(`Created ${directories.length} directories`);
+    } else {
+      await deployer.createDirectories(uploadDir, []);
+    }
+    
+    // Upload files (as one archive if requested and tar is available on the remote)
+    if (filesToUpload.length === 0) {
+      log(chalk.green('\n✅ Remote is up to date, nothing to upload\n'));
+    } else {
+      const uploadStart = Date.now();
+      const archived = (options.archive || config.deploy.archive) &&
+        await uploadAsArchive(deployer, spinner, sourceDir, uploadDir, filesToUpload);
+      
+      if (!archived) {
+        const concurrency = options.concurrency || config.deploy.concurrency;
+        await uploadWithProgress(deployer, uploadDir, filesToUpload, concurrency, reporter, emit);
+      }
+      emit('upload', {
+        host,
+        count: filesToUpload.length,
+        bytes: filesToUpload.reduce((sum, file) => sum + localManifest.files[file.remote].size, 0),
+        archive: Boolean(archived),
+        durationMs: Date.now() - uploadStart
+      });
+    }
+    result.filesUploaded = filesToUpload.length;
+    
+    // Delete remote files removed locally
+    if (filesToDelete.length > 0) {
+      spinner.start(`Deleting ${filesToDelete.length} remote files...`);
+      await deployer.deleteFiles(uploadDir, filesToDelete);
+      spinner.succeed(`Deleted ${filesToDelete.length} remote files`);
+      emit('delete', { host, count: filesToDelete.length, files: filesToDelete });
+    }
+    result.filesDeleted = filesToDelete.length;
+    
+    // Store manifest so the next deploy only uploads changes
+    await deployer.writeManifest(uploadDir, localManifest);
+    
+    await runHook('afterUpload');
+    
+    // Execute script if requested, streaming its output as it runs
+    if (scriptName) {
+      log(chalk.cyan(`\n🔧 Executing script: ${scriptName}\n`));
+      const scriptStart = Date.now();
+      let failure = null;
+      
+      try {
+        const scriptResult = await deployer.executeScript(uploadDir, scriptName, { timeout, ...outputHandlers('script') });
+        result.scriptCode = scriptResult.code;
+        failure = getScriptFailure(scriptResult, timeout);
+      } catch (scriptError) {
+        failure = { message: scriptError.message, exitCode: 1 };
+      }
+      emit('script', {
+        host,
+        name: scriptName,
+        exitCode: result.scriptCode,
+        durationMs: Date.now() - scriptStart,
+        error: failure ? failure.message : null
+      });
+      
+      if (!failure) {
+        spinner.succeed('Script finished');
+      } else if (options.allowScriptFailure) {
+        spinner.warn(`${failure.message} (ignored because of --allow-script-failure)`);
+      } else {
+        const error = new Error(releaseMode ? `${failure.message}, release ${releaseId} was not activated` : failure.message);
+        error.exitCode = failure.exitCode;
+        throw error;
+      }
+    }
+    
+    // Switch the current symlink only once the release is complete
+    if (releaseMode) {
+      spinner.start(`Activating release ${releaseId}...`);
+      await deployer.activateRelease(targetDir, releaseId);
+      unactivatedRelease = null;
+      spinner.succeed(`${CURRENT_LINK} -> ${RELEASES_DIR}/${releaseId}`);
+      
+      const keep = options.keepReleases || config.deploy.keepReleases;
+      const releases = await deployer.listReleases(targetDir);
+      const pruned = getReleasesToPrune(releases, keep, releaseId);
+      if (pruned.length > 0) {
+        await deployer.removeReleases(targetDir, pruned);
+        log(chalk.gray(`   Removed ${pruned.length} old release(s), keeping ${keep}`));
+      }
+      emit('release', { host, releaseId, pruned });
+    }
+    
+    await runHook('afterDeploy');
+    
+    connections?.set(host, deployer);
+    return result;
+  } catch (error) {
+    // Give the server a chance to recover, e.g. restart a service stopped in beforeUpload
+    if (deployer.connected && !options.dryRun && hooks.onFailure) {
+      try {
+        await runHook('onFailure', { error: error.message });
+      } catch (hookError) {
+        spinner.warn(hookError.message);
+      }
+    }
+    
+    // Otherwise the half-populated directory would count as a release when pruning
+    if (unactivatedRelease && deployer.connected) {
+      try {
+        await deployer.removeReleases(targetDir, [unactivatedRelease]);
+        log(chalk.gray(`   Removed release ${unactivatedRelease}, it was not activated`));
+      } catch (cleanupError) {
+        spinner.warn(`Could not remove release ${unactivatedRelease}: ${cleanupError.message}`);
+      }
+    }
+    throw error;
+  } finally {
+    if (connections?.get(host) !== deployer) {
+      deployer.disconnect();
+    }
+  }
+}
+
+/**
+ * Deploy to several hosts with bounded parallelism.
+ * In rolling mode hosts are deployed in batches and later batches are skipped once a host fails.
+ * @param {string[]} hosts - Hosts to deploy to
+ * @param {object} context - Deploy context (see deployToHost)
+ * @param {Function} log - Log function of the deploy
+ * @returns {Promise<object[]>} Per-host results in host order
+ */
+async function deployToHosts(hosts, context, log) {
+  const { config, options, emit } = context;
+  const results = hosts.map(host => ({ host, status: 'skipped' }));
+  let failed = false;
+  
+  const run = async (index) => {
+    const host = hosts[index];
+    const reporter = createHostReporter(host, log);
+    const start = Date.now();
+    
+    try {
+      const result = await deployToHost({
+        ...context,
+        config: { ...config, connection: { ...config.connection, host } },
+        reporter
+      });
+      results[index] = { host, status: 'success', durationMs: Date.now() - start, ...result };
+    } catch (error) {
+      failed = true;
+      reporter.spinner.fail(`Deployment failed: ${error.message}`);
+      results[index] = { host, status: 'failed', durationMs: Date.now() - start, error: error.message };
+    }
+    emit('host', results[index]);
+  };
+  
+  if (options.rolling) {
+    for (let i = 0; i < hosts.length && !failed; i += options.rolling) {
+      const batch = hosts.slice(i, i + options.rolling).map((host, offset) => i + offset);
+      log(chalk.cyan(`\n🔁 Batch ${Math.floor(i / options.rolling) + 1}: ${batch.map(index => hosts[index]).join(', ')}\n`));
+      await Promise.all(batch.map(run));
+    }
+    return results;
+  }
+  
+  let next = 0;
+  const worker = async () => {
+    while (next < hosts.length && !(failed && options.failFast)) {
+      await run(next++);
+    }
+  };
+  const parallel = Math.max(1, Math.min(options.parallel || config.deploy.parallel, hosts.length));
+  await Promise.all(Array.from({ length: parallel }, worker));
+  
+  return results;
+}
+
+
+/**
+ * @typedef {object} DeployOptions
+ * @property {string} [config] - Path to config file (default: found in this or a parent directory)
+ * @property {string} [target] - Named target from the "targets" section of the config
+ * @property {string} [ip] - Target server IP/hostname
+ * @property {string|string[]} [hosts] - Hosts to deploy to in parallel (array or comma-separated)
+ * @property {string} [user] - SSH username
+ * @property {string} [password] - SSH password
+ * @property {string} [key] - Path to private key file
+ * @property {number} [port] - SSH port
+ * @property {string} [jump] - Jump host, e.g. user@bastion:2222
+ * @property {boolean} [acceptNewHostKey] - Trust host keys seen for the first time
+ * @property {string} [directory] - Target directory on the remote server
+ * @property {boolean|string} [run] - Run the afterDeploy script, or this script
+ * @property {number} [scriptTimeout] - Script and hook timeout in seconds
+ * @property {boolean} [allowScriptFailure] - Do not fail when the script exits with a non-zero code
+ * @property {boolean} [full] - Upload all files, ignoring the remote manifest
+ * @property {boolean} [delete] - Delete remote files that no longer exist locally
+ * @property {string} [source] - Local directory to deploy (default: the current directory)
+ * @property {boolean} [dryRun] - Only report what would be deployed (a "plan" event per host)
+ * @property {boolean} [compare] - With dryRun, connect and compare with the remote
+ * @property {boolean} [release] - Upload into a new release directory and switch the current symlink
+ * @property {number} [keepReleases] - Number of releases to keep
+ * @property {number} [concurrency] - Number of parallel file transfers
+ * @property {boolean} [archive] - Upload files as a single tar.gz archive
+ * @property {number} [parallel] - Maximum number of hosts deployed at once
+ * @property {boolean} [failFast] - Stop starting new hosts after the first failure
+ * @property {number} [rolling] - Deploy in batches of this many hosts
+ * @property {boolean} [interactive] - Ask for unknown host keys and key passphrases (default: false)
+ * @property {EventEmitter} [events] - Receives "start", "files", "progress", "host" and the other deploy events
+ */
+
+/**
+ * @typedef {object} DeployResult
+ * @property {string|null} target - Named target
+ * @property {string|null} releaseId - Created release in release mode
+ * @property {boolean} dryRun - Whether it was a dry run
+ * @property {number} files - Number of local files
+ * @property {object[]} hosts - Per-host results: host, status, durationMs, filesUploaded, filesDeleted, scriptCode, error
+ */
+
+/**
+ * Deploy the project to the configured host(s). Throws when the deploy fails;
+ * with several hosts the error carries the per-host results as error.result.
+ * @param {DeployOptions} [options] - Deploy options, named like the CLI flags
+ * @param {object} [reporter] - Output target, the CLI passes one that prints (default: silent)
+ * @param {Map<string, SSHDeployer>} [connections] - Keeps the connections of successful hosts open
+ *   and adds them by host, the caller disconnects them (used by watch)
+ * @returns {Promise<DeployResult>}
+ */
+async function deploy(options = {}, reporter = silentReporter, connections) {
+  const { spinner, log } = reporter;
+  const emit = createEmitter(options.events);
+  
+  // Load and merge configuration
+  spinner.start('Loading configuration...');
+  let config = loadConfig(options.config, options.target);
+  config = mergeWithCliOptions(config, options);
+  config.connection.interactive = Boolean(options.interactive);
+  spinner.succeed('Configuration loaded');
+  
+  // Validate configuration
+  const validation = validateConfig(config);
+  if (!validation.isValid) {
+    const error = new Error(`Missing required configuration: ${validation.missing.join(', ')}`);
+    error.missing = validation.missing;
+    throw error;
+  }
+  
+  const hosts = config.hosts.length > 0 ? config.hosts : [config.connection.host];
+  const releaseId = options.release || config.deploy.releases ? createReleaseId() : null;
+  const hooks = Object.fromEntries(HOOK_NAMES.map(name => [name, normalizeHook(name, config.hooks[name])]));
+  
+  // Display connection info
+  log(chalk.gray(`\n📡 Connection Details${config.target ? ` (${config.target})` : ''}:`));
+  if (hosts.length > 1) {
+    log(chalk.gray(`   Hosts: ${hosts.join(', ')}`));
+  } else {
+    log(chalk.gray(`   Host: ${hosts[0]}`));
+  }
+  if (config.connection.port) {
+    log(chalk.gray(`   Port: ${config.connection.port}`));
+  }
+  if (config.connection.jumpHost) {
+    log(chalk.gray(`   Via: ${config.connection.jumpHost}`));
+  }
+  log(chalk.gray(`   User: ${config.connection.username || '(from ~/.ssh/config)'}`));
+  log(chalk.gray(`   Target: ${config.connection.targetDirectory}`));
+  if (releaseId) {
+    log(chalk.gray(`   Release: ${releaseId}`));
+  }
+  const auth = config.connection.privateKeyPath ? 'Private Key' : config.connection.password ? 'Password' : 'ssh-agent / ~/.ssh/config';
+  log(chalk.gray(`   Auth: ${auth}\n`));
+  emit('start', {
+    target: config.target,
+    hosts,
+    port: config.connection.port || null,
+    username: config.connection.username || null,
+    targetDirectory: config.connection.targetDirectory,
+    releaseId,
+    auth: config.connection.privateKeyPath ? 'key' : config.connection.password ? 'password' : 'agent',
+    dryRun: Boolean(options.dryRun)
+  });
+  
+  const sourceDir = options.source ? path.resolve(options.source) : process.cwd();
+  
+  // Run the local hook (e.g. a build) before scanning, so its output is deployed
+  if (hooks.beforeDeploy && !options.dryRun) {
+    log(chalk.cyan(`🪝 Running beforeDeploy hook: ${describeHook(hooks.beforeDeploy)}\n`));
+    await runLocalHook('beforeDeploy', hooks.beforeDeploy, createHookEnv('beforeDeploy', {
+      target: config.target,
+      host: hosts.join(','),
+      targetDirectory: config.connection.targetDirectory,
+      releaseId
+    }), { cwd: sourceDir, timeout: options.scriptTimeout || config.scripts.timeout });
+    spinner.succeed('beforeDeploy hook finished');
+    emit('hook', { name: 'beforeDeploy' });
+  }
+  
+  // Scan local files
+  spinner.start('Scanning local files...');
+  const matcher = createIgnoreMatcher(config.deploy, sourceDir, config.configFile);
+  const files = scanDirectory(sourceDir, matcher);
+  const localManifest = buildManifest(files);
+  spinner.succeed(`Found ${chalk.green(files.length)} files to deploy`);
+  emit('files', { count: files.length, bytes: Object.values(localManifest.files).reduce((sum, file) => sum + file.size, 0) });
+  
+  const summary = { target: config.target, releaseId, dryRun: Boolean(options.dryRun), files: files.length };
+  if (files.length === 0) {
+    log(chalk.yellow('\n⚠️  No files to deploy. Check your exclude settings.\n'));
+    return { ...summary, hosts: [] };
+  }
+  
+  // Display exclusions
+  log(chalk.gray('\n📋 Exclusions:'));
+  log(chalk.gray(`   Directories: ${config.deploy.excludeDirectories.join(', ')}`));
+  log(chalk.gray(`   Files: ${config.deploy.excludeFiles.join(', ')}`));
+  log(chalk.gray(`   Patterns: ${config.deploy.excludePatterns.join(', ')}`));
+  if (matcher.sources.length > 0) {
+    log(chalk.gray(`   Ignore files: ${matcher.sources.join(', ')}`));
+  }
+  log('');
+  
+  const context = { config, options, sourceDir, matcher, files, localManifest, releaseId, hooks, emit, connections };
+  
+  // A dry run without --compare doesn't connect, so the plan is the same for every host
+  if (hosts.length > 1 && (!options.dryRun || options.compare)) {
+    const results = await deployToHosts(hosts, context, log);
+    const result = { ...summary, hosts: results };
+    
+    const succeeded = results.filter(hostResult => hostResult.status === 'success').length;
+    if (succeeded < hosts.length) {
+      const error = new Error(`Deployed to ${succeeded} of ${hosts.length} hosts`);
+      error.result = result;
+      throw error;
+    }
+    return result;
+  }
+  
+  const start = Date.now();
+  const result = await deployToHost({
+    ...context,
+    config: { ...config, connection: { ...config.connection, host: hosts[0] } },
+    reporter: { ...reporter, host: hosts[0] }
+  });
+  const hostResult = { host: hosts[0], status: 'success', durationMs: Date.now() - start, ...result };
+  emit('host', hostResult);
+  
+  return { ...summary, hosts: [hostResult] };
+}
+
+module.exports = { deploy };
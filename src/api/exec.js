@@ -0,0 +1,109 @@
+const chalk = require('chalk');
+const { loadConfig, mergeWithCliOptions, validateConfig, getPrimaryHost } = require('../utils/config');
+const { SSHDeployer } = require('../utils/sshDeployer');
+const { shellQuote } = require('../utils/shell');
+const { createEmitter, silentReporter } = require('../utils/output');
+
+/**
+ * Get the exit code the CLI should return for a finished command
+ * @param {object} commandResult - Result of SSHDeployer.streamCommand
+ * @returns {number}
+ */
+function getExitCode(commandResult) {
+  if (commandResult.timedOut) return 124;
+  if (commandResult.interrupted) return 130;
+  if (commandResult.code === null) return 1;
+  return commandResult.code;
+}
+
+/**
+ * @typedef {object} ExecOptions
+ * @property {string} [config] - Path to config file (default: found in this or a parent directory)
+ * @property {string} [target] - Named target from the "targets" section of the config
+ * @property {string} [ip] - Server IP/hostname (default: the configured host, or the first of hosts)
+ * @property {string} [user] - SSH username
+ * @property {string} [password] - SSH password
+ * @property {string} [key] - Path to private key file
+ * @property {number} [port] - SSH port
+ * @property {string} [jump] - Jump host, e.g. user@bastion:2222
+ * @property {boolean} [acceptNewHostKey] - Trust host keys seen for the first time
+ * @property {string} [directory] - Directory to run the command in (default: the target directory)
+ * @property {number} [timeout] - Stop the command after this many seconds
+ * @property {Function} [onStdout] - Called with each line the command writes to stdout
+ * @property {Function} [onStderr] - Called with each line the command writes to stderr
+ * @property {boolean} [interactive] - Ask for unknown host keys and key passphrases (default: false)
+ * @property {EventEmitter} [events] - Receives "connected" and "output" events
+ */
+
+/**
+ * @typedef {object} ExecResult
+ * @property {string} host - Host the command ran on
+ * @property {string} remoteCommand - The command
+ * @property {string|null} directory - Directory it ran in (null: the login directory)
+ * @property {number|null} code - Exit code of the command (null when it was killed by a signal)
+ * @property {string|null} signal - Signal that ended the command
+ * @property {boolean} timedOut - Whether it was stopped after the timeout
+ * @property {boolean} interrupted - Whether it was interrupted with Ctrl-C
+ * @property {number} exitCode - Exit code for the CLI: the command's code, 124 on timeout, 130 when interrupted
+ */
+
+/**
+ * Run a command on the server in the target directory, streaming its output.
+ * A failing command is not an error: the promise resolves with its exit code.
+ * @param {string} command - Shell command
+ * @param {ExecOptions} [options] - Options, named like the CLI flags
+ * @param {object} [reporter] - Output target, the CLI passes one that prints (default: silent)
+ * @returns {Promise<ExecResult>}
+ */
+async function exec(command, options = {}, reporter = silentReporter) {
+  const { spinner, log } = reporter;
+  const emit = createEmitter(options.events);
+  const deployer = new SSHDeployer();
+  const { onStdout = () => {}, onStderr = () => {} } = options;
+  
+  if (!command) {
+    throw new Error('No command specified');
+  }
+  
+  const config = mergeWithCliOptions(loadConfig(options.config, options.target), options);
+  config.connection.interactive = Boolean(options.interactive);
+  
+  const validation = validateConfig(config, { targetDirectory: false });
+  if (!validation.isValid) {
+    const error = new Error(`Missing required configuration: ${validation.missing.join(', ')}`);
+    error.missing = validation.missing;
+    throw error;
+  }
+  
+  const host = getPrimaryHost(config);
+  if (config.hosts.length > 1) {
+    log(chalk.yellow(`⚠️  ${config.hosts.length} hosts configured, running on ${host} (use -ip to choose)\n`));
+  }
+  const directory = config.connection.targetDirectory || null;
+  
+  try {
+    spinner.start(`Connecting to ${host}...`);
+    await deployer.connect({ ...config.connection, host });
+    spinner.succeed('Connected to server');
+    emit('connected', { host });
+    
+    const script = directory ? `cd ${shellQuote(directory)} && ${command}` : command;
+    const commandResult = await deployer.streamCommand(script, {
+      timeout: options.timeout,
+      onStdout: (line) => {
+        onStdout(line);
+        emit('output', { host, stream: 'stdout', line });
+      },
+      onStderr: (line) => {
+        onStderr(line);
+        emit('output', { host, stream: 'stderr', line });
+      }
+    });
+    
+    return { host, remoteCommand: command, directory, ...commandResult, exitCode: getExitCode(commandResult) };
+  } finally {
+    deployer.disconnect();
+  }
+}
+
+module.exports = { exec };
@@ -0,0 +1,194 @@
+const chalk = require('chalk');
+const { loadConfig } = require('../utils/config');
+const { lookupSSHHost } = require('../utils/sshConfig');
+const { SSHDeployer } = require('../utils/sshDeployer');
+const { silentReporter } = require('../utils/output');
+
+/**
+ * Quick TCP port check for SSH
+ * @param {string} ip - IP address
+ * @param {number} timeout - Timeout in ms
+ * @param {number} port - SSH port
+ * @returns {Promise<object>} { success: boolean, duration: number }
+ */
+function checkSSHPort(ip, timeout = 5000, port = 22) {
+  return new Promise((resolve) => {
+    const net = require('net');
+    const socket = new net.Socket();
+    const startTime = Date.now();
+    
+    socket.setTimeout(timeout);
+    
+    socket.on('connect', () => {
+      const duration = Date.now() - startTime;
+      socket.destroy();
+      resolve({ success: true, duration });
+    });
+    
+    socket.on('timeout', () => {
+      const duration = Date.now() - startTime;
+      socket.destroy();
+      resolve({ success: false, duration });
+    });
+    
+    socket.on('error', (err) => {
+      const duration = Date.now() - startTime;
+      socket.destroy();
+      resolve({ success: false, duration });
+    });
+    
+    socket.connect(port, ip);
+  });
+}
+
+/**
+ * Try to connect to SSH with the given connection settings
+ * @param {object} connection - Connection configuration (host, port, username, password, privateKeyPath, jumpHost)
+ * @param {number} timeout - Connection timeout in ms
+ * @returns {Promise<object>} Connection result
+ */
+async function trySSHConnection(connection, timeout = 10000) {
+  const deployer = new SSHDeployer();
+  
+  try {
+    await deployer.connect({ ...connection, readyTimeout: timeout });
+    deployer.disconnect();
+    return { success: true, authenticated: true, error: null };
+  } catch (error) {
+    deployer.disconnect();
+    
+    // Check if it's an auth error (means SSH is running but wrong credentials)
+    if (error.message.includes('Authentication') ||
+        error.message.includes('authentication') ||
+        error.message.includes('All configured authentication methods failed')) {
+      return { success: true, authenticated: false, error: 'Authentication failed' };
+    }
+    
+    return { success: false, authenticated: false, error: error.message };
+  }
+}
+
+/**
+ * @typedef {object} PingOptions
+ * @property {string} [user] - SSH username; without it only the port is checked
+ * @property {string} [password] - SSH password
+ * @property {string} [key] - Path to private key file
+ * @property {number} [port] - SSH port (default: 22 or Port from ~/.ssh/config)
+ * @property {string} [jump] - Jump host, e.g. user@bastion:2222
+ * @property {number} [timeout] - Timeout in ms (default: 5000)
+ * @property {boolean} [acceptNewHostKey] - Trust host keys seen for the first time
+ * @property {string} [config] - Path to config file, for port, key and jump host (default: found in this or a parent directory)
+ * @property {boolean} [interactive] - Ask for unknown host keys and key passphrases (default: false)
+ */
+
+/**
+ * @typedef {object} PingResult
+ * @property {string} host - Host as given
+ * @property {string} address - Address from ~/.ssh/config, or the host
+ * @property {number} port - SSH port
+ * @property {string|null} jumpHost - Jump host used
+ * @property {boolean|null} portOpen - Whether the port was open (null when going through a jump host)
+ * @property {number|null} portCheckMs - Port check duration
+ * @property {object|null} auth - Authentication test: username, status (authenticated, failed or error), error, durationMs
+ */
+
+/**
+ * Test SSH connectivity to a host. Throws when the SSH port is not reachable,
+ * with the result as error.result.
+ * @param {string} host - Host IP or hostname
+ * @param {PingOptions} [options] - Ping options, named like the CLI flags
+ * @param {object} [reporter] - Output target, the CLI passes one that prints (default: silent)
+ * @returns {Promise<PingResult>}
+ */
+async function ping(host, options = {}, reporter = silentReporter) {
+  const { spinner, log } = reporter;
+  
+  if (!host) {
+    throw new Error('No host specified');
+  }
+  
+  const timeout = options.timeout || 5000;
+  
+  // Port, key and jump host can come from the CLI, the config file or ~/.ssh/config
+  let configConnection = {};
+  try {
+    configConnection = loadConfig(options.config).connection;
+  } catch (e) {
+    // Config might not exist, that's OK
+  }
+  
+  const sshHost = lookupSSHHost(host);
+  const address = sshHost.hostName || host;
+  const port = options.port || configConnection.port || sshHost.port || 22;
+  const jumpHost = options.jump || configConnection.jumpHost || sshHost.proxyJump;
+  
+  log(chalk.gray(`Target: ${host}${address !== host ? ` (${address})` : ''}`));
+  log(chalk.gray(`Port: ${port}`));
+  if (jumpHost) {
+    log(chalk.gray(`Via: ${jumpHost}`));
+  }
+  log(chalk.gray(`Timeout: ${timeout}ms\n`));
+  
+  const result = { host, address, port, jumpHost: jumpHost || null, portOpen: null, portCheckMs: null, auth: null };
+  
+  // Step 1: Check SSH port (not reachable directly when going through a jump host)
+  if (jumpHost) {
+    log(chalk.gray(`Skipping port check, ${host} is reached through ${jumpHost}\n`));
+  } else {
+    spinner.start(`Checking SSH port (${port}) on ${host}...`);
+    const portCheck = await checkSSHPort(address, timeout, port);
+    result.portOpen = portCheck.success;
+    result.portCheckMs = portCheck.duration;
+    
+    if (!portCheck.success) {
+      spinner.fail(`SSH port is not accessible on ${host} (took ${portCheck.duration}ms)`);
+      const error = new Error('SSH port is not accessible');
+      error.result = result;
+      throw error;
+    }
+    
+    spinner.succeed(`SSH port is ${chalk.green('OPEN')} on ${host} ${chalk.gray(`(${portCheck.duration}ms)`)}`);
+    log(chalk.cyan(`\n⏱️  Connection time: ${portCheck.duration}ms`));
+    log(chalk.gray(`   Recommended timeout for scan: ${Math.ceil(portCheck.duration * 1.5)}ms or higher\n`));
+  }
+  
+  // Step 2: Try SSH connection if username provided
+  const username = options.user || sshHost.user;
+  if (username) {
+    log(chalk.gray(`Attempting SSH authentication as ${username}...\n`));
+    
+    spinner.start(`Connecting to ${username}@${host}...`);
+    const sshStartTime = Date.now();
+    const connection = await trySSHConnection({
+      host,
+      port,
+      username,
+      password: options.password,
+      privateKeyPath: options.key || configConnection.privateKeyPath,
+      passphrase: configConnection.passphrase,
+      jumpHost,
+      knownHostsFile: configConnection.knownHostsFile,
+      acceptNewHostKey: options.acceptNewHostKey || configConnection.acceptNewHostKey,
+      interactive: Boolean(options.interactive)
+    }, timeout);
+    const sshDuration = Date.now() - sshStartTime;
+    result.auth = {
+      username,
+      status: connection.authenticated ? 'authenticated' : connection.success ? 'failed' : 'error',
+      error: connection.error,
+      durationMs: sshDuration
+    };
+    
+    if (connection.authenticated) {
+      spinner.succeed(`SSH connection ${chalk.green('SUCCESSFUL')} - authenticated as ${username} ${chalk.gray(`(${sshDuration}ms)`)}`);
+    } else if (connection.success) {
+      spinner.warn(`SSH is running but ${chalk.yellow('authentication failed')} ${chalk.gray(`(${sshDuration}ms)`)}`);
+    } else {
+      spinner.fail(`SSH connection failed ${chalk.gray(`(${sshDuration}ms)`)}`);
+    }
+  }
+  
+  return result;
+}
+
+module.exports = { ping };
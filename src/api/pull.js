@@ -0,0 +1,208 @@
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, mergeWithCliOptions, validateConfig, getPrimaryHost } = require('../utils/config');
+const { SSHDeployer } = require('../utils/sshDeployer');
+const { IgnoreMatcher, createIgnoreMatcher } = require('../utils/ignore');
+const { MANIFEST_FILENAME } = require('../utils/manifest');
+const { formatSize, formatDuration, createEmitter, silentReporter, createProgress } = require('../utils/output');
+
+/**
+ * Turn a list option into an array
+ * @param {string|string[]} [value] - Array or comma-separated list
+ * @returns {string[]}
+ */
+function toList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : value.split(',');
+  return list.map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Resolve the remote path: relative paths are relative to the target directory
+ * if one is configured, "~/" and other relative paths to the login directory
+ * @param {string} remotePath - Path as given
+ * @param {string} [targetDirectory] - Configured target directory
+ * @returns {string}
+ */
+function resolveRemotePath(remotePath, targetDirectory) {
+  if (remotePath === '~' || remotePath.startsWith('~/')) {
+    return remotePath.slice(2) || '.';
+  }
+  if (path.posix.isAbsolute(remotePath) || !targetDirectory) {
+    return remotePath;
+  }
+  return path.posix.join(targetDirectory, remotePath);
+}
+
+/**
+ * Check whether the local copy of a file is at least as new as the remote one
+ * @param {string} localPath - Local file
+ * @param {number} mtime - Remote modification time in seconds
+ * @returns {boolean}
+ */
+function isUpToDate(localPath, mtime) {
+  try {
+    return Math.floor(fs.statSync(localPath).mtimeMs / 1000) >= mtime;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * @typedef {object} PullOptions
+ * @property {string} [config] - Path to config file (default: found in this or a parent directory)
+ * @property {string} [target] - Named target from the "targets" section of the config
+ * @property {string} [ip] - Server IP/hostname (default: the configured host, or the first of hosts)
+ * @property {string} [user] - SSH username
+ * @property {string} [password] - SSH password
+ * @property {string} [key] - Path to private key file
+ * @property {number} [port] - SSH port
+ * @property {string} [jump] - Jump host, e.g. user@bastion:2222
+ * @property {boolean} [acceptNewHostKey] - Trust host keys seen for the first time
+ * @property {string|string[]} [include] - Only pull files matching these gitignore-style globs
+ * @property {string|string[]} [exclude] - Also leave out files matching these globs
+ * @property {boolean} [all] - Do not apply the deploy exclusion rules
+ * @property {boolean} [newer] - Only pull files that are newer than the local copy
+ * @property {number} [concurrency] - Number of parallel file transfers
+ * @property {boolean} [interactive] - Ask for unknown host keys and key passphrases (default: false)
+ * @property {EventEmitter} [events] - Receives "connected", "progress" and "download" events
+ */
+
+/**
+ * @typedef {object} PullResult
+ * @property {string} host - Host the files were pulled from
+ * @property {string} remotePath - Resolved remote path
+ * @property {string} localPath - Local file or directory written to
+ * @property {string[]} files - Downloaded files, relative to the remote directory
+ * @property {number} bytes - Downloaded bytes
+ * @property {number} upToDate - Files skipped because the local copy is not older (with newer)
+ */
+
+/**
+ * Download a remote file, or a directory recursively, over SFTP.
+ * Directories are filtered with the deploy exclusion rules and the include/exclude globs;
+ * downloaded files keep their remote modification time.
+ * @param {string} remotePath - File or directory on the server, relative paths are resolved against the target directory
+ * @param {string} [localPath] - Destination (default: the remote name in the current directory)
+ * @param {PullOptions} [options] - Options, named like the CLI flags
+ * @param {object} [reporter] - Output target, the CLI passes one that prints (default: silent)
+ * @returns {Promise<PullResult>}
+ */
+async function pull(remotePath, localPath, options = {}, reporter = silentReporter) {
+  const { spinner, log } = reporter;
+  const emit = createEmitter(options.events);
+  const deployer = new SSHDeployer();
+  
+  if (!remotePath) {
+    throw new Error('No remote path specified');
+  }
+  
+  const config = mergeWithCliOptions(loadConfig(options.config, options.target), options);
+  config.connection.interactive = Boolean(options.interactive);
+  
+  const validation = validateConfig(config, { targetDirectory: false });
+  if (!validation.isValid) {
+    const error = new Error(`Missing required configuration: ${validation.missing.join(', ')}`);
+    error.missing = validation.missing;
+    throw error;
+  }
+  
+  // Files are pulled from one host, the first one when several are configured
+  const host = getPrimaryHost(config);
+  if (config.hosts.length > 1) {
+    log(chalk.yellow(`⚠️  ${config.hosts.length} hosts configured, pulling from ${host} (use -ip to choose)\n`));
+  }
+  const source = resolveRemotePath(remotePath, config.connection.targetDirectory);
+  
+  try {
+    spinner.start(`Connecting to ${host}...`);
+    await deployer.connect({ ...config.connection, host });
+    spinner.succeed('Connected to server');
+    emit('connected', { host });
+    
+    const stats = await deployer.statRemote(source);
+    if (!stats) {
+      throw new Error(`Remote path not found: ${source}`);
+    }
+    
+    // A single file goes to localPath, or into it if it is a directory
+    let baseDir = source;
+    let destination;
+    let files;
+    if (stats.isDirectory) {
+      destination = path.resolve(localPath || path.posix.basename(source));
+      spinner.start(`Listing ${source}...`);
+      
+      const excluded = options.all ? new IgnoreMatcher() : createIgnoreMatcher(config.deploy, process.cwd(), config.configFile);
+      excluded.add(toList(options.exclude));
+      // Deploy bookkeeping, also of release directories, never belongs to the local copy
+      excluded.add([MANIFEST_FILENAME], { fileOnly: true });
+      // isExcluded also matches files inside a matching directory, so "logs/" pulls all logs
+      const includes = toList(options.include);
+      const included = new IgnoreMatcher().add(includes);
+      
+      files = (await deployer.listRemoteFiles(source, (relativePath, isDirectory) => excluded.ignores(relativePath, isDirectory)))
+        .filter(file => includes.length === 0 || included.isExcluded(file.remote))
+        .map(file => ({ ...file, local: path.join(destination, ...file.remote.split('/')) }));
+      spinner.succeed(`Found ${chalk.green(files.length)} files in ${source}`);
+    } else {
+      const name = path.posix.basename(source);
+      baseDir = path.posix.dirname(source);
+      destination = path.resolve(localPath || name);
+      if (localPath && (/[\\/]$/.test(localPath) || (fs.existsSync(destination) && fs.statSync(destination).isDirectory()))) {
+        destination = path.join(destination, name);
+      }
+      files = [{ remote: name, size: stats.size, mtime: stats.mtime, local: destination }];
+    }
+    
+    const result = { host, remotePath: source, localPath: destination, files: [], bytes: 0, upToDate: 0 };
+    
+    if (options.newer) {
+      const changed = files.filter(file => !isUpToDate(file.local, file.mtime));
+      result.upToDate = files.length - changed.length;
+      files = changed;
+      if (result.upToDate > 0) {
+        spinner.info(`${result.upToDate} files are up to date locally`);
+      }
+    }
+    
+    if (files.length === 0) {
+      log(chalk.green('\n✅ Nothing to download\n'));
+      return result;
+    }
+    
+    const start = Date.now();
+    const concurrency = options.concurrency || config.deploy.concurrency;
+    const progress = createProgress({
+      fields: { operation: 'download', host },
+      color: chalk.cyan,
+      draw: reporter.progress,
+      emit
+    });
+    
+    log(chalk.cyan(`\n📥 Downloading ${files.length} files (${concurrency} parallel transfers)...\n`));
+    await deployer.downloadFiles(baseDir, files, (current, total, filename, { bytes, totalBytes }) => {
+      const elapsed = (Date.now() - start) / 1000;
+      const rate = elapsed > 0 ? bytes / elapsed : 0;
+      const eta = rate > 0 ? (totalBytes - bytes) / rate : Infinity;
+      progress.update(
+        Math.round((current / total) * 100),
+        `${formatSize(rate)}/s ETA ${formatDuration(eta)} - ${filename}`,
+        { files: current, totalFiles: total, bytes, totalBytes }
+      );
+    }, { concurrency });
+    progress.done();
+    
+    result.files = files.map(file => file.remote);
+    result.bytes = files.reduce((sum, file) => sum + file.size, 0);
+    emit('download', { host, count: files.length, bytes: result.bytes, durationMs: Date.now() - start });
+    log(chalk.green(`\n✅ Downloaded ${files.length} files (${formatSize(result.bytes)}) in ${formatDuration((Date.now() - start) / 1000)}\n`));
+    
+    return result;
+  } finally {
+    deployer.disconnect();
+  }
+}
+
+module.exports = { pull };
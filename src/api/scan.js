@@ -0,0 +1,197 @@
+const chalk = require('chalk');
+const { loadConfig } = require('../utils/config');
+const { SSHDeployer } = require('../utils/sshDeployer');
+const { getLocalIP, generateMask, generateIPRange, findSSHHosts } = require('../utils/network');
+const { getKnownHostsFiles, checkHostKey, fetchHostKey } = require('../utils/knownHosts');
+const { createEmitter, silentReporter, createProgress } = require('../utils/output');
+
+/**
+ * Try to connect to SSH on given IP
+ * @param {object} connection - Connection configuration (host, port, username, password, privateKeyPath)
+ * @param {number} timeout - Connection timeout in ms
+ * @returns {Promise<object>} Connection result
+ */
+async function trySSHConnection(connection, timeout = 3000) {
+  const deployer = new SSHDeployer();
+  
+  try {
+    await deployer.connect({ ...connection, readyTimeout: timeout });
+    deployer.disconnect();
+    return { success: true, authenticated: true };
+  } catch (error) {
+    deployer.disconnect();
+    
+    // Check if it's an auth error (means SSH is running but wrong credentials)
+    if (error.message.includes('Authentication') || 
+        error.message.includes('authentication') ||
+        error.message.includes('All configured authentication methods failed')) {
+      return { success: true, authenticated: false };
+    }
+    
+    return { success: false, authenticated: false, error: error.message };
+  }
+}
+
+/**
+ * @typedef {object} ScanOptions
+ * @property {string} [mask] - Subnet to scan, e.g. "192.168.1" (default: the local subnet)
+ * @property {string} [user] - SSH username to test
+ * @property {string} [password] - SSH password to test
+ * @property {string} [key] - Private key file to test
+ * @property {number} [port] - SSH port (default: 22)
+ * @property {number} [timeout] - Port check timeout in ms (default: 200)
+ * @property {number} [threads] - Number of parallel port checks (default: 1)
+ * @property {boolean} [acceptNewHostKey] - Trust host keys seen for the first time
+ * @property {string} [config] - Path to config file, for credentials (default: found in this or a parent directory)
+ * @property {string} [target] - Use the credentials of this named target, if it exists
+ * @property {boolean} [interactive] - Ask for unknown host keys and key passphrases (default: false)
+ * @property {EventEmitter} [events] - Receives "progress" and a "host" event per SSH server found
+ */
+
+/**
+ * @typedef {object} ScanResult
+ * @property {string} localIP - Local IP address
+ * @property {string} subnet - Scanned subnet, e.g. "192.168.1.*"
+ * @property {number} port - Scanned port
+ * @property {object[]} hosts - Found hosts: host, port, hostKey ({type, fingerprint, status}), status, error
+ */
+
+/**
+ * Scan the local network for SSH servers and test logging in to them
+ * @param {ScanOptions} [options] - Scan options, named like the CLI flags
+ * @param {object} [reporter] - Output target, the CLI passes one that prints (default: silent)
+ * @returns {Promise<ScanResult>}
+ */
+async function scan(options = {}, reporter = silentReporter) {
+  const { spinner, log } = reporter;
+  const emit = createEmitter(options.events);
+  
+  // Load config for username/password
+  let config = {};
+  try {
+    config = loadConfig(options.config);
+    // Use target credentials if the target already exists, otherwise the shared ones
+    if (options.target && config.targets[options.target]) {
+      config = loadConfig(options.config, options.target);
+    }
+  } catch (e) {
+    // Config might not exist, that's OK
+  }
+  
+  // Get username from options or config
+  const username = options.user || config.connection?.username;
+  const password = options.password || config.connection?.password;
+  const privateKeyPath = options.key || config.connection?.privateKeyPath;
+  const port = options.port || config.connection?.port || 22;
+  
+  if (!username) {
+    const error = new Error('No username specified');
+    error.missing = ['username'];
+    throw error;
+  }
+  
+  // Get local IP
+  spinner.start('Detecting local IP address...');
+  const localIP = getLocalIP();
+  
+  if (!localIP) {
+    throw new Error('Could not detect local IP address');
+  }
+  spinner.succeed(`Local IP: ${chalk.green(localIP)}`);
+  
+  // Generate or use provided mask
+  const mask = options.mask || generateMask(localIP);
+  log(chalk.gray(`   Scanning subnet: ${mask}.* (port ${port})\n`));
+  
+  // Generate IP range
+  const ips = generateIPRange(mask, localIP);
+  
+  log(chalk.cyan('📡 Scanning for SSH hosts...\n'));
+  
+  // Batch size for parallel scanning
+  const batchSize = options.threads || 1;
+  const timeout = options.timeout || 200;
+  
+  const progress = createProgress({ fields: { operation: 'scan' }, draw: reporter.progress, emit });
+  const foundHosts = await findSSHHosts(ips, {
+    port,
+    timeout,
+    batchSize,
+    onProgress: (scanned, total) => {
+      progress.update(Math.round((scanned / total) * 100), `(${scanned}/${total})`, { scanned, total });
+    }
+  });
+  progress.done();
+  
+  log('\n');
+  
+  const result = { localIP, subnet: `${mask}.*`, port, hosts: [] };
+  if (foundHosts.length === 0) {
+    log(chalk.yellow('⚠️  No SSH hosts found in the subnet.\n'));
+    return result;
+  }
+  
+  log(chalk.green(`✅ Found ${foundHosts.length} host(s) with SSH port open:\n`));
+  
+  // Now try to authenticate to found hosts
+  for (const ip of foundHosts) {
+    spinner.start(`Testing SSH connection to ${ip}...`);
+    
+    // Show the host key so it can be compared with the one printed on the device
+    const hostKey = await fetchHostKey(ip, port, 5000);
+    let keyInfo = chalk.gray('no host key received');
+    let keyChanged = false;
+    const found = { host: ip, port, hostKey: null, status: null, error: null };
+    result.hosts.push(found);
+    
+    if (hostKey) {
+      const check = checkHostKey(ip, port, hostKey, getKnownHostsFiles(config.connection || {}).files);
+      const statusLabels = {
+        known: chalk.green('(known)'),
+        unknown: chalk.yellow('(new)'),
+        changed: chalk.red(`(CHANGED, expected ${check.expected})`)
+      };
+      keyInfo = `${check.type} ${check.fingerprint} ${statusLabels[check.status]}`;
+      keyChanged = check.status === 'changed';
+      found.hostKey = { type: check.type, fingerprint: check.fingerprint, status: check.status };
+    }
+    
+    if (keyChanged) {
+      spinner.fail(`${chalk.red(ip)} - host key has changed, not connecting`);
+      log(`   ${keyInfo}\n`);
+      found.status = 'host-key-changed';
+      emit('host', found);
+      continue;
+    }
+    
+    const connection = await trySSHConnection({
+      host: ip,
+      port,
+      username,
+      password,
+      privateKeyPath,
+      passphrase: config.connection?.passphrase,
+      knownHostsFile: config.connection?.knownHostsFile,
+      acceptNewHostKey: options.acceptNewHostKey || config.connection?.acceptNewHostKey,
+      interactive: Boolean(options.interactive)
+    }, 5000);
+    
+    if (connection.authenticated) {
+      spinner.succeed(`${chalk.green(ip)} - SSH accessible ${chalk.green('(authenticated)')}`);
+      found.status = 'authenticated';
+    } else if (connection.success) {
+      spinner.succeed(`${chalk.green(ip)} - SSH accessible ${chalk.yellow('(auth required)')}`);
+      found.status = 'auth-required';
+    } else {
+      spinner.info(`${chalk.gray(ip)} - SSH port open but connection failed: ${connection.error}`);
+      found.status = 'connection-failed';
+      found.error = connection.error;
+    }
+    log(`   ${keyInfo}\n`);
+    emit('host', found);
+  }
+  
+  return result;
+}
+
+module.exports = { scan };
@@ -0,0 +1,370 @@
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, mergeWithCliOptions } = require('../utils/config');
+const { scanDirectory, getRemoteDirectories } = require('../utils/fileScanner');
+const { SSHDeployer } = require('../utils/sshDeployer');
+const { buildManifest, getChangedFiles } = require('../utils/manifest');
+const { CURRENT_LINK } = require('../utils/releases');
+const { watchDirectory } = require('../utils/watcher');
+const { createIgnoreMatcher } = require('../utils/ignore');
+const { createEmitter, silentReporter } = require('../utils/output');
+const { normalizeHook, describeHook, createHookEnv, runRemoteHook } = require('../utils/hooks');
+const { deploy } = require('./deploy');
+
+// A failed sync is retried after 1s, doubling up to 30s while it keeps failing
+const RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+
+/**
+ * Get the delay before retrying a failed sync
+ * @param {number} failures - Number of syncs that failed in a row
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(failures) {
+  return Math.min(RETRY_DELAY * 2 ** (failures - 1), MAX_RETRY_DELAY);
+}
+
+/**
+ * Work out what a batch of changed paths means for the remote
+ * @param {string[]} paths - Changed paths relative to the project directory
+ * @param {string} sourceDir - Project directory
+ * @param {IgnoreMatcher} matcher - Exclusion rules of the project directory
+ * @param {object} manifest - Manifest of the files on the remote
+ * @returns {{files: Array<{local: string, remote: string}>, manifest: object, removed: string[]}}
+ *   Files to upload with their manifest, and deployed files that no longer exist locally
+ */
+function collectChanges(paths, sourceDir, matcher, manifest) {
+  const files = new Map();
+  const removed = new Set();
+  
+  for (const relativePath of paths) {
+    const local = path.join(sourceDir, relativePath);
+    
+    if (!fs.existsSync(local)) {
+      // A removed directory takes all deployed files below it along
+      Object.keys(manifest.files)
+        .filter(file => file === relativePath || file.startsWith(`${relativePath}/`))
+        .forEach(file => removed.add(file));
+    } else if (fs.statSync(local).isDirectory()) {
+      scanDirectory(sourceDir, matcher, relativePath).forEach(file => files.set(file.remote, file));
+    } else {
+      files.set(relativePath, { local, remote: relativePath });
+    }
+  }
+  
+  // Files may be removed again while the batch is collected
+  const existing = [...files.values()].filter(file => fs.existsSync(file.local));
+  const changedManifest = buildManifest(existing);
+  return {
+    files: getChangedFiles(existing, changedManifest, manifest),
+    manifest: changedManifest,
+    removed: [...removed].filter(file => !files.has(file)).sort()
+  };
+}
+
+/**
+ * @typedef {object} WatchOptions
+ * @property {number} [debounce] - Milliseconds to wait after the last change before syncing (default: 300)
+ * @property {string} [onChange] - Remote command run after every sync (default: the onChange hook)
+ * @property {EventEmitter} [events] - Receives the deploy events of the initial sync, then a "sync" event per sync
+ */
+
+/**
+ * @typedef {object} Watcher
+ * @property {object} result - Result of the initial deploy (see DeployResult)
+ * @property {Function} close - Stop watching and disconnect, returns a promise
+ */
+
+/**
+ * Deploy the project, then keep the connection open and sync changed files as they change.
+ * Changes are collected until nothing changed for the debounce time, then changed files
+ * are uploaded and deleted files removed on every host, and the onChange hook runs.
+ * The connections of the initial deploy are reused, and each host is compared with its own
+ * manifest. A failed sync is reported as a "sync" event with an error and retried after a
+ * growing delay, over a new connection to the hosts it failed on.
+ * @param {import('./deploy').DeployOptions & WatchOptions} [options] - Deploy options, named like the CLI flags
+ * @param {object} [reporter] - Output target, the CLI passes one that prints (default: silent)
+ * @returns {Promise<Watcher>} Resolves once the initial deploy is done and the project is watched
+ */
+async function watch(options = {}, reporter = silentReporter) {
+  const { spinner, log } = reporter;
+  const emit = createEmitter(options.events);
+  
+  if (options.dryRun) {
+    throw new Error('--watch cannot be combined with --dry-run');
+  }
+  
+  const config = mergeWithCliOptions(loadConfig(options.config, options.target), options);
+  config.connection.interactive = Boolean(options.interactive);
+  const sourceDir = options.source ? path.resolve(options.source) : process.cwd();
+  const hosts = config.hosts.length > 0 ? config.hosts : [config.connection.host];
+  const debounce = options.debounce || config.deploy.watchDebounce;
+  const concurrency = options.concurrency || config.deploy.concurrency;
+  const timeout = options.scriptTimeout || config.scripts.timeout;
+  const onChange = options.onChange ? { commands: [options.onChange] } : normalizeHook('onChange', config.hooks.onChange);
+  
+  // In release mode changes go into the active release
+  const targetDir = config.connection.targetDirectory;
+  const releaseMode = options.release || config.deploy.releases;
+  const syncDir = releaseMode ? `${targetDir}/${CURRENT_LINK}` : targetDir;
+  
+  // Changes made during the initial deploy are queued and synced right after it
+  const pending = new Set();
+  const deployers = new Map();
+  // Hosts can differ after a failed sync, so each one keeps its own manifest
+  const manifests = new Map();
+  const broken = new Set();
+  let failures = 0;
+  let timer = null;
+  let syncing = null;
+  let ready = false;
+  let closed = false;
+  
+  /**
+   * Replace the connection to a host, e.g. after it was lost
+   * @param {string} host - Host
+   */
+  const reconnect = async (host) => {
+    deployers.get(host)?.disconnect();
+    const deployer = new SSHDeployer();
+    deployers.set(host, deployer);
+    await deployer.connect({ ...config.connection, host });
+    broken.delete(host);
+  };
+  
+  /**
+   * Run the onChange hook on one host, printing its output
+   * @param {string} host - Host
+   * @param {SSHDeployer} deployer - Connected deployer
+   * @param {object} counts - changedFiles and deletedFiles
+   */
+  const runOnChange = async (host, deployer, counts) => {
+    const prefix = hosts.length > 1 ? `[${host}] ` : '';
+    await runRemoteHook(deployer, 'onChange', onChange, createHookEnv('onChange', {
+      target: config.target,
+      host,
+      targetDirectory: targetDir,
+      deployDirectory: syncDir,
+      releaseId: null,
+      ...counts
+    }), {
+      sourceDir,
+      timeout,
+      onStdout: (line) => {
+        log(chalk.white(`${prefix}${line}`));
+        emit('output', { host, source: 'onChange', stream: 'stdout', line });
+      },
+      onStderr: (line) => {
+        log(chalk.yellow(`${prefix}${line}`));
+        emit('output', { host, source: 'onChange', stream: 'stderr', line });
+      }
+    });
+  };
+  
+  /**
+   * Upload and delete the changed files on one host and update its manifest
+   * @param {string} host - Host
+   * @param {object} changes - Changes for the host (see collectChanges)
+   */
+  const syncHost = async (host, changes) => {
+    if (broken.has(host)) {
+      await reconnect(host);
+    }
+    
+    const deployer = deployers.get(host);
+    const manifest = manifests.get(host);
+    const nextManifest = {
+      ...manifest,
+      generatedAt: changes.manifest.generatedAt,
+      files: { ...manifest.files, ...changes.manifest.files }
+    };
+    changes.removed.forEach(file => delete nextManifest.files[file]);
+    
+    // Also creates syncDir, in case it was removed on the server
+    await deployer.createDirectories(syncDir, getRemoteDirectories(changes.files));
+    if (changes.files.length > 0) {
+      await deployer.uploadFiles(syncDir, changes.files, null, { concurrency });
+    }
+    if (changes.removed.length > 0) {
+      await deployer.deleteFiles(syncDir, changes.removed);
+    }
+    await deployer.writeManifest(syncDir, nextManifest);
+    manifests.set(host, nextManifest);
+  };
+  
+  /**
+   * Upload and delete the files behind the pending changes on every host,
+   * then run the onChange hook on the hosts that were synced
+   */
+  const sync = async () => {
+    const paths = [...pending];
+    pending.clear();
+    const start = Date.now();
+    
+    /**
+     * Queue the paths again and report the failure, the retry is scheduled by flush
+     * @param {string} message - Error message
+     */
+    const fail = (message) => {
+      paths.forEach(relativePath => pending.add(relativePath));
+      failures += 1;
+      spinner.warn(`Sync failed: ${message}`);
+      emit('sync', { hosts, error: message, durationMs: Date.now() - start });
+    };
+    
+    let changesByHost;
+    try {
+      changesByHost = new Map(hosts.map(host => [host, collectChanges(paths, sourceDir, matcher, manifests.get(host))]));
+    } catch (error) {
+      fail(error.message);
+      return;
+    }
+    
+    const changedHosts = hosts.filter((host) => {
+      const changes = changesByHost.get(host);
+      return changes.files.length > 0 || changes.removed.length > 0;
+    });
+    if (changedHosts.length === 0) {
+      failures = 0;
+      return;
+    }
+    
+    const uploaded = [...new Set(changedHosts.flatMap(host => changesByHost.get(host).files.map(file => file.remote)))].sort();
+    const deleted = [...new Set(changedHosts.flatMap(host => changesByHost.get(host).removed))].sort();
+    const summary = [
+      uploaded.length > 0 && `${uploaded.length} changed`,
+      deleted.length > 0 && `${deleted.length} deleted`
+    ].filter(Boolean).join(', ');
+    log(chalk.cyan(`\n🔄 ${new Date().toLocaleTimeString()} Syncing ${summary}`));
+    uploaded.forEach(file => log(chalk.gray(`   + ${file}`)));
+    deleted.forEach(file => log(chalk.red(`   - ${file}`)));
+    
+    const outcomes = await Promise.allSettled(changedHosts.map(host => syncHost(host, changesByHost.get(host))));
+    const synced = [];
+    const errors = [];
+    outcomes.forEach((outcome, index) => {
+      const host = changedHosts[index];
+      if (outcome.status === 'fulfilled') {
+        synced.push(host);
+      } else {
+        // Reconnect before the retry, the connection may be lost
+        broken.add(host);
+        errors.push(hosts.length > 1 ? `${host}: ${outcome.reason.message}` : outcome.reason.message);
+      }
+    });
+    
+    if (errors.length > 0) {
+      // Hosts that were synced have an up-to-date manifest, so the retry skips them
+      fail(errors.join('; '));
+      if (synced.length === 0) {
+        return;
+      }
+    } else {
+      failures = 0;
+    }
+    spinner.succeed(`Synced to ${synced.join(', ')} in ${Date.now() - start}ms`);
+    
+    // A failing hook does not undo the sync, it is reported and the next change syncs as usual
+    let hookError = null;
+    if (onChange) {
+      log(chalk.cyan(`🪝 Running onChange hook: ${describeHook(onChange)}`));
+      try {
+        await Promise.all(synced.map((host) => {
+          const changes = changesByHost.get(host);
+          const counts = { changedFiles: changes.files.length, deletedFiles: changes.removed.length };
+          return runOnChange(host, deployers.get(host), counts);
+        }));
+        spinner.succeed('onChange hook finished');
+      } catch (error) {
+        hookError = error.message;
+        spinner.warn(error.message);
+      }
+    }
+    
+    emit('sync', {
+      hosts: synced,
+      uploaded,
+      deleted,
+      durationMs: Date.now() - start,
+      error: hookError
+    });
+  };
+  
+  /**
+   * Sync the pending changes, one sync at a time
+   */
+  const flush = async () => {
+    timer = null;
+    if (syncing || closed || !ready) {
+      return;
+    }
+    syncing = sync();
+    await syncing;
+    syncing = null;
+    if (closed) {
+      return;
+    }
+    
+    if (failures > 0) {
+      // Retry on a timer instead of waiting for the next change
+      const delay = getRetryDelay(failures);
+      log(chalk.gray(`   Retrying in ${delay / 1000}s`));
+      clearTimeout(timer);
+      timer = setTimeout(flush, delay);
+    } else if (pending.size > 0 && !timer) {
+      // Changes that came in while syncing
+      schedule();
+    }
+  };
+  
+  /**
+   * Restart the debounce timer
+   */
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounce);
+  };
+  
+  const matcher = createIgnoreMatcher(config.deploy, sourceDir, config.configFile);
+  const watcher = watchDirectory(sourceDir, matcher, (relativePath) => {
+    pending.add(relativePath);
+    // While a retry is waiting, changes are synced with it
+    if (failures === 0) {
+      schedule();
+    }
+  });
+  
+  /**
+   * Stop watching and close the connections
+   */
+  const close = async () => {
+    closed = true;
+    clearTimeout(timer);
+    watcher.close();
+    await syncing;
+    deployers.forEach(deployer => deployer.disconnect());
+  };
+  
+  try {
+    // Keep the connections of the initial deploy open for the syncs
+    const result = await deploy(options, reporter, deployers);
+    
+    await Promise.all(hosts.map(async (host) => {
+      manifests.set(host, (await deployers.get(host).readManifest(syncDir)) || buildManifest([]));
+    }));
+    ready = true;
+    spinner.succeed(`Watching ${sourceDir}`);
+    emit('watch', { directory: sourceDir, hosts, debounce });
+    
+    if (pending.size > 0) {
+      schedule();
+    }
+    return { result, close };
+  } catch (error) {
+    await close();
+    throw error;
+  }
+}
+
+module.exports = { watch };
@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+
+const { program } = require('commander');
+const path = require('path');
+const { deployCommand } = require('./commands/deploy');
+const { initCommand } = require('./commands/init');
+const { createProjectCommand } = require('./commands/create-project');
+const { scanCommand } = require('./commands/scan');
+const { pingCommand } = require('./commands/ping');
+const { releasesCommand } = require('./commands/releases');
+const { rollbackCommand } = require('./commands/rollback');
+const { setupKeyCommand } = require('./commands/setup-key');
+const { pullCommand } = require('./commands/pull');
+const { execCommand } = require('./commands/exec');
+const { shellCommand } = require('./commands/shell');
+const {
+  configValidateCommand,
+  configGetCommand,
+  configSetCommand,
+  configUnsetCommand,
+  configShowCommand
+} = require('./commands/config');
+const { installOutputMasking } = require('./utils/secrets');
+const { enableJsonOutput } = require('./utils/output');
+const pkg = require('../package.json');
+
+// Never print passwords or other secrets, whatever command is running
+installOutputMasking();
+
+program
+  .name('litai-spex')
+  .description('CLI tool for deploying files via SSH')
+  .version(pkg.version)
+  .option('--json', 'Print NDJSON events and a final result on stdout, text goes to stderr');
+
+// --json is accepted before or after the command name
+program.hook('preAction', (thisCommand, actionCommand) => {
+  if (program.opts().json) {
+    const parent = actionCommand.parent === program ? null : actionCommand.parent.name();
+    enableJsonOutput(parent ? `${parent} ${actionCommand.name()}` : actionCommand.name());
+  }
+});
+
+program
+  .command('deploy')
+  .description('Deploy files from current directory to remote server via SSH')
+  .option('-ip, --ip <host>', 'Target server IP/hostname')
+  .option('-u, --user <username>', 'SSH username')
+  .option('-p, --password <password>', 'SSH password')
+  .option('-dir, --directory <path>', 'Target directory on remote server')
+  .option('-k, --key <path>', 'Path to private key file (alternative to password)')
+  .option('-P, --port <port>', 'SSH port (default: 22 or Port from ~/.ssh/config)', parseInt)
+  .option('--jump <host>', 'Connect through a jump host, e.g. user@bastion:2222')
+  .option('--accept-new-host-key', 'Trust host keys seen for the first time without asking')
+  .option('-r, --run [script]', 'Run script after deployment (default: deploy.sh)')
+  .option('--script-timeout <seconds>', 'Stop the script if it runs longer than this', parseInt)
+  .option('--allow-script-failure', 'Do not fail the deploy when the script exits with a non-zero code')
+  .option('-c, --config <path>', 'Path to config file (default: found in this or a parent directory)')
+  .option('--source <path>', 'Local directory to deploy (default: the current directory)')
+  .option('--full', 'Upload all files, ignoring the remote manifest')
+  .option('--delete', 'Delete remote files that no longer exist locally')
+  .option('--dry-run', 'Show what would be deployed without uploading anything')
+  .option('--compare', 'With --dry-run, connect and show files that differ from the remote')
+  .option('--release', 'Upload into a new release directory and switch the current symlink')
+  .option('--keep-releases <n>', 'Number of releases to keep (default: 5)', parseInt)
+  .option('--concurrency <n>', 'Number of parallel file transfers (default: 4)', parseInt)
+  .option('--archive', 'Upload files as a single tar.gz archive and extract it on the remote')
+  .option('--target <name>', 'Named target from the "targets" section of the config')
+  .option('--hosts <list>', 'Comma-separated list of hosts to deploy to in parallel')
+  .option('--parallel <n>', 'Maximum number of hosts deployed at once (default: 5)', parseInt)
+  .option('--fail-fast', 'Stop starting new hosts after the first failure')
+  .option('--rolling <n>', 'Deploy in batches of n hosts, stopping when a host fails', parseInt)
+  .option('--watch', 'After deploying, keep watching the project and sync changed files')
+  .option('--debounce <ms>', 'With --watch, wait this long after the last change before syncing (default: 300)', parseInt)
+  .option('--on-change <command>', 'With --watch, remote command to run after every sync (overrides the onChange hook)')
+  .action(deployCommand);
+
+program
+  .command('init')
+  .description('Create or update deployment-config.json with an interactive wizard')
+  .option('--target <name>', 'Create or update a named target instead of the shared settings')
+  .option('-ip, --ip <host>', 'Server IP/hostname')
+  .option('-u, --user <username>', 'SSH username')
+  .option('-p, --password <password>', 'SSH password (stored in .spex.env)')
+  .option('-k, --key <path>', 'Path to private key file')
+  .option('-P, --port <port>', 'SSH port', parseInt)
+  .option('-dir, --directory <path>', 'Target directory on remote server')
+  .option('-y, --yes', 'Do not ask questions, use the flags and current values')
+  .option('--accept-new-host-key', 'Trust the server host key on first connection without asking')
+  .option('--no-test', 'Save without testing the connection')
+  .action(initCommand);
+
+program
+  .command('create-project')
+  .description('Clone a git repository from URL specified in config or CLI')
+  .option('--repo <url>', 'Git repository URL (overrides config)')
+  .option('--name <n>', 'Directory name for the cloned project')
+  .option('-b, --branch <branch>', 'Branch to clone')
+  .option('--depth <depth>', 'Create a shallow clone with specified depth')
+  .option('-i, --install', 'Auto-install npm dependencies after clone')
+  .option('-c, --config <path>', 'Path to config file (default: found in this or a parent directory)')
+  .action(createProjectCommand);
+
+program
+  .command('scan')
+  .description('Scan local network for SSH hosts')
+  .option('-m, --mask <mask>', 'IP mask to scan (e.g., 192.168.1)')
+  .option('-u, --user <username>', 'SSH username to test')
+  .option('-p, --password <password>', 'SSH password to test')
+  .option('-t, --timeout <ms>', 'Connection timeout in milliseconds (default: 1000)', parseInt)
+  .option('--threads <n>', 'Number of parallel scans (default: 20)', parseInt)
+  .option('-k, --key <path>', 'Path to private key file to test')
+  .option('-P, --port <port>', 'SSH port to scan (default: 22)', parseInt)
+  .option('--accept-new-host-key', 'Trust host keys seen for the first time without asking')
+  .option('-c, --config <path>', 'Path to config file (default: found in this or a parent directory)')
+  .option('--target <name>', 'Save found hosts to this named target (created if missing)')
+  .action(scanCommand);
+
+program
+  .command('ping <host>')
+  .description('Test SSH connectivity to a specific host')
+  .option('-u, --user <username>', 'SSH username to test authentication')
+  .option('-p, --password <password>', 'SSH password to test authentication')
+  .option('-t, --timeout <ms>', 'Connection timeout in milliseconds (default: 5000)', parseInt)
+  .option('-k, --key <path>', 'Path to private key file to test')
+  .option('-P, --port <port>', 'SSH port (default: 22 or Port from ~/.ssh/config)', parseInt)
+  .option('--jump <host>', 'Connect through a jump host, e.g. user@bastion:2222')
+  .option('--accept-new-host-key', 'Trust host keys seen for the first time without asking')
+  .option('-c, --config <path>', 'Path to config file (default: found in this or a parent directory)')
+  .action(pingCommand);
+
+program
+  .command('setup-key')
+  .description('Install an SSH key on the server and switch the config from password to key login')
+  .option('-k, --key <path>', 'Private key to install (default: ~/.ssh/id_ed25519, generated if missing)')
+  .option('-ip, --ip <host>', 'Target server IP/hostname')
+  .option('-u, --user <username>', 'SSH username')
+  .option('-p, --password <password>', 'SSH password used to install the key')
+  .option('-P, --port <port>', 'SSH port (default: 22 or Port from ~/.ssh/config)', parseInt)
+  .option('--jump <host>', 'Connect through a jump host, e.g. user@bastion:2222')
+  .option('--accept-new-host-key', 'Trust host keys seen for the first time without asking')
+  .option('--hosts <list>', 'Comma-separated list of hosts to install the key on')
+  .option('--no-save-config', 'Do not update the config file')
+  .option('-c, --config <path>', 'Path to config file (default: found in this or a parent directory)')
+  .option('--target <name>', 'Named target from the "targets" section of the config')
+  .action(setupKeyCommand);
+
+program
+  .command('releases')
+  .description('List releases on the remote server')
+  .option('-ip, --ip <host>', 'Target server IP/hostname')
+  .option('--hosts <list>', 'Comma-separated list of hosts (overrides hosts in config)')
+  .option('-u, --user <username>', 'SSH username')
+  .option('-p, --password <password>', 'SSH password')
+  .option('-dir, --directory <path>', 'Target directory on remote server')
+  .option('-k, --key <path>', 'Path to private key file (alternative to password)')
+  .option('-P, --port <port>', 'SSH port (default: 22 or Port from ~/.ssh/config)', parseInt)
+  .option('--jump <host>', 'Connect through a jump host, e.g. user@bastion:2222')
+  .option('--accept-new-host-key', 'Trust host keys seen for the first time without asking')
+  .option('-c, --config <path>', 'Path to config file (default: found in this or a parent directory)')
+  .option('--target <name>', 'Named target from the "targets" section of the config')
+  .action(releasesCommand);
+
+program
+  .command('rollback [release]')
+  .description('Point the current symlink back at an earlier release (default: previous)')
+  .option('-ip, --ip <host>', 'Target server IP/hostname')
+  .option('--hosts <list>', 'Comma-separated list of hosts (overrides hosts in config)')
+  .option('-u, --user <username>', 'SSH username')
+  .option('-p, --password <password>', 'SSH password')
+  .option('-dir, --directory <path>', 'Target directory on remote server')
+  .option('-k, --key <path>', 'Path to private key file (alternative to password)')
+  .option('-P, --port <port>', 'SSH port (default: 22 or Port from ~/.ssh/config)', parseInt)
+  .option('--jump <host>', 'Connect through a jump host, e.g. user@bastion:2222')
+  .option('--accept-new-host-key', 'Trust host keys seen for the first time without asking')
+  .option('-c, --config <path>', 'Path to config file (default: found in this or a parent directory)')
+  .option('--target <name>', 'Named target from the "targets" section of the config')
+  .action(rollbackCommand);
+
+program
+  .command('pull <remote-path> [local-path]')
+  .description('Download a file or directory from the remote server (relative paths are in the target directory)')
+  .option('-ip, --ip <host>', 'Server IP/hostname')
+  .option('-u, --user <username>', 'SSH username')
+  .option('-p, --password <password>', 'SSH password')
+  .option('-k, --key <path>', 'Path to private key file (alternative to password)')
+  .option('-P, --port <port>', 'SSH port (default: 22 or Port from ~/.ssh/config)', parseInt)
+  .option('--jump <host>', 'Connect through a jump host, e.g. user@bastion:2222')
+  .option('--accept-new-host-key', 'Trust host keys seen for the first time without asking')
+  .option('--include <globs>', 'Comma-separated globs, only pull matching files (e.g. "*.log,data/")')
+  .option('--exclude <globs>', 'Comma-separated globs of files not to pull')
+  .option('--all', 'Do not apply the deploy exclusion rules')
+  .option('--newer', 'Only pull files that are newer than the local copy')
+  .option('--concurrency <n>', 'Number of parallel file transfers (default: 4)', parseInt)
+  .option('-c, --config <path>', 'Path to config file (default: found in this or a parent directory)')
+  .option('--target <name>', 'Named target from the "targets" section of the config')
+  .action(pullCommand);
+
+program
+  .command('exec <command>')
+  .description('Run a command in the target directory on the remote server and exit with its code')
+  .option('-ip, --ip <host>', 'Server IP/hostname')
+  .option('-u, --user <username>', 'SSH username')
+  .option('-p, --password <password>', 'SSH password')
+  .option('-dir, --directory <path>', 'Remote directory (default: the target directory)')
+  .option('-k, --key <path>', 'Path to private key file (alternative to password)')
+  .option('-P, --port <port>', 'SSH port (default: 22 or Port from ~/.ssh/config)', parseInt)
+  .option('--jump <host>', 'Connect through a jump host, e.g. user@bastion:2222')
+  .option('--accept-new-host-key', 'Trust host keys seen for the first time without asking')
+  .option('--timeout <seconds>', 'Stop the command if it runs longer than this (exit code 124)', parseInt)
+  .option('-c, --config <path>', 'Path to config file (default: found in this or a parent directory)')
+  .option('--target <name>', 'Named target from the "targets" section of the config')
+  .action(execCommand);
+
+program
+  .command('shell')
+  .description('Open an interactive shell in the target directory on the remote server')
+  .option('-ip, --ip <host>', 'Server IP/hostname')
+  .option('-u, --user <username>', 'SSH username')
+  .option('-p, --password <password>', 'SSH password')
+  .option('-dir, --directory <path>', 'Remote directory (default: the target directory)')
+  .option('-k, --key <path>', 'Path to private key file (alternative to password)')
+  .option('-P, --port <port>', 'SSH port (default: 22 or Port from ~/.ssh/config)', parseInt)
+  .option('--jump <host>', 'Connect through a jump host, e.g. user@bastion:2222')
+  .option('--accept-new-host-key', 'Trust host keys seen for the first time without asking')
+  .option('-c, --config <path>', 'Path to config file (default: found in this or a parent directory)')
+  .option('--target <name>', 'Named target from the "targets" section of the config')
+  .action(shellCommand);
+
+const configProgram = program
+  .command('config')
+  .description('Check, read and change the configuration file');
+
+configProgram
+  .command('get <key>')
+  .description('Print a value from the config file, e.g. connection.host')
+  .option('--effective', 'Print the value in use, after defaults, targets and ${VAR} expansion')
+  .option('-c, --config <path>', 'Path to config file (default: found in this or a parent directory)')
+  .option('--target <name>', 'Read from this named target')
+  .option('-g, --global', 'Use the user config (~/.config/litai-spex/config.json) with defaults and profiles')
+  .action(configGetCommand);
+
+configProgram
+  .command('set <key> <value>')
+  .description('Set a value in the config file (numbers, true/false and JSON arrays are parsed)')
+  .option('-c, --config <path>', 'Path to config file (default: found in this or a parent directory)')
+  .option('--target <name>', 'Set it in this named target (created if missing)')
+  .option('-g, --global', 'Use the user config (~/.config/litai-spex/config.json) with defaults and profiles')
+  .action(configSetCommand);
+
+configProgram
+  .command('unset <key>')
+  .description('Remove a value from the config file')
+  .option('-c, --config <path>', 'Path to config file (default: found in this or a parent directory)')
+  .option('--target <name>', 'Remove it from this named target')
+  .option('-g, --global', 'Use the user config (~/.config/litai-spex/config.json) with defaults and profiles')
+  .action(configUnsetCommand);
+
+configProgram
+  .command('show')
+  .description('Print the config file, or with --effective the merged settings and where each came from')
+  .option('--effective', 'Show defaults, user config, file, target, environment and CLI options merged')
+  .option('-ip, --ip <host>', 'Target server IP/hostname')
+  .option('-u, --user <username>', 'SSH username')
+  .option('-p, --password <password>', 'SSH password')
+  .option('-k, --key <path>', 'Path to private key file')
+  .option('-P, --port <port>', 'SSH port', parseInt)
+  .option('--jump <host>', 'Jump host')
+  .option('--accept-new-host-key', 'Trust host keys seen for the first time without asking')
+  .option('-dir, --directory <path>', 'Target directory on remote server')
+  .option('--hosts <list>', 'Comma-separated list of hosts')
+  .option('-c, --config <path>', 'Path to config file (default: found in this or a parent directory)')
+  .option('--target <name>', 'Named target from the "targets" section of the config')
+  .option('-g, --global', 'Use the user config (~/.config/litai-spex/config.json) with defaults and profiles')
+  .action(configShowCommand);
+
+configProgram
+  .command('validate')
+  .description('Check the config file for unknown keys, wrong types and missing settings')
+  .option('-c, --config <path>', 'Path to config file (default: found in this or a parent directory)')
+  .option('-g, --global', 'Use the user config (~/.config/litai-spex/config.json) with defaults and profiles')
+  .action(configValidateCommand);
+
+program.parse(process.argv);
+
+// Show help if no command provided
+if (!process.argv.slice(2).length) {
+  program.outputHelp();
+}
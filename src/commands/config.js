@@ -0,0 +1,321 @@
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const {
+  GLOBAL_CONFIG_SCHEMA,
+  loadGlobalConfig,
+  loadConfig,
+  resolveConfig,
+  validateConfig,
+  validateConfigSchema,
+  parseKeyPath,
+  getConfigValue,
+  parseConfigValue,
+  setConfigValue,
+  unsetConfigValue,
+  explainConfig
+} = require('../utils/config');
+const { getGlobalConfigPath, resolveConfigPath, readConfigFile } = require('../utils/configFile');
+const { loadEnvFiles, interpolateConfig } = require('../utils/env');
+const { MASK, isSecretKey, registerSecret } = require('../utils/secrets');
+const { tildify } = require('../utils/sshConfig');
+const { emitResult } = require('../utils/output');
+
+/**
+ * Format a config value for display
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (typeof value === 'string') {
+    return value === '' ? '""' : value;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Check if a value is a single ${VAR} reference
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isReference(value) {
+  return typeof value === 'string' && /^\$\{[^}]+\}$/.test(value);
+}
+
+/**
+ * Mask secret values in a config object, keeping ${VAR} references visible
+ * @param {*} value - Config value
+ * @param {string} [key] - Key the value is stored under
+ * @returns {*} Copy with secrets replaced by ****
+ */
+function maskConfig(value, key = '') {
+  if (typeof value === 'string' && value && isSecretKey(key) && !isReference(value)) {
+    return MASK;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => maskConfig(item));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([itemKey, item]) => [itemKey, maskConfig(item, itemKey)]));
+  }
+  return value;
+}
+
+/**
+ * Get the config file a command works on: the user config with --global,
+ * else the project config
+ * @param {object} options - CLI options (config, global, target, effective)
+ * @returns {string} Absolute path
+ */
+function getConfigPath(options) {
+  if (!options.global) {
+    return resolveConfigPath(options.config);
+  }
+  if (options.target) {
+    throw new Error('--target cannot be used with --global, targets belong in the project config');
+  }
+  if (options.effective) {
+    throw new Error('--effective cannot be used with --global, run it in a project instead');
+  }
+  return getGlobalConfigPath();
+}
+
+/**
+ * Get the config file in use, relative to the current directory for messages
+ * @param {object} options - CLI options (config, global)
+ * @returns {string}
+ */
+function displayConfigPath(options) {
+  return options.global ? tildify(getGlobalConfigPath()) : path.relative(process.cwd(), resolveConfigPath(options.config));
+}
+
+/**
+ * Describe where a key lives, for messages
+ * @param {string} keyPath - Dotted key path
+ * @param {object} options - CLI options (target, config, global)
+ * @returns {string}
+ */
+function describeKey(keyPath, options) {
+  return `${keyPath}${options.target ? ` of target "${options.target}"` : ''} in ${displayConfigPath(options)}`;
+}
+
+/**
+ * Config validate command handler - checks the config file against the schema
+ * and reports everything that is wrong at once
+ * @param {object} options - CLI options
+ */
+async function configValidateCommand(options) {
+  const fullPath = options.global ? getGlobalConfigPath() : resolveConfigPath(options.config);
+  const configPath = displayConfigPath(options);
+  
+  console.log(chalk.cyan(`\n🔎 Validating ${configPath}\n`));
+  
+  if (!fs.existsSync(fullPath)) {
+    console.log(chalk.red(`❌ ${configPath} not found`));
+    console.log(chalk.gray(options.global
+      ? '   Create one with: litai-spex config set --global <key> <value>\n'
+      : '   Create one with: litai-spex init\n'));
+    emitResult(false, { file: fullPath, error: `${configPath} not found` });
+    process.exit(1);
+  }
+  
+  let userConfig;
+  try {
+    userConfig = readConfigFile(fullPath);
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}\n`));
+    emitResult(false, { file: fullPath, error: error.message });
+    process.exit(1);
+  }
+  
+  const schemaErrors = validateConfigSchema(userConfig, options.global ? GLOBAL_CONFIG_SCHEMA : undefined);
+  if (schemaErrors.length > 0) {
+    schemaErrors.forEach(error => {
+      console.log(chalk.red(`   ✖ ${error.path || '(root)'}: ${error.message}`));
+    });
+    console.log(chalk.red(`\n❌ ${schemaErrors.length} problem(s) found in ${configPath}\n`));
+    emitResult(false, { file: fullPath, errors: schemaErrors });
+    process.exit(1);
+  }
+  
+  // ${VAR} references must resolve for the config to load
+  let globalConfig;
+  try {
+    if (options.global) {
+      loadGlobalConfig(Object.keys(userConfig.profiles || {}));
+    } else {
+      const { vars } = loadEnvFiles(path.dirname(fullPath));
+      userConfig = interpolateConfig(userConfig, { ...vars, ...process.env });
+      const targets = Object.values(userConfig.targets || {});
+      globalConfig = loadGlobalConfig([userConfig, ...targets].map(section => section.profile).filter(Boolean));
+    }
+  } catch (error) {
+    console.log(chalk.red(`   ✖ ${error.message}`));
+    console.log(chalk.red(`\n❌ ${configPath} cannot be loaded\n`));
+    emitResult(false, { file: fullPath, errors: [{ path: '', message: error.message }] });
+    process.exit(1);
+  }
+  
+  // Settings of other projects come from their own config
+  if (options.global) {
+    console.log(chalk.green(`✅ ${configPath} is valid\n`));
+    emitResult(true, { file: fullPath, warnings: [] });
+    return;
+  }
+  
+  // Required settings may also be given on the command line, so these are only warnings
+  const sections = [null, ...Object.keys(userConfig.targets || {})];
+  const errors = new Set();
+  const warnings = [];
+  for (const targetName of sections) {
+    let config;
+    try {
+      config = resolveConfig(userConfig, targetName, globalConfig);
+    } catch (error) {
+      // An unknown profile
+      errors.add(error.message);
+      continue;
+    }
+    
+    const { missing } = validateConfig(config);
+    missing.forEach(field => {
+      const warning = `${targetName ? `target "${targetName}": ` : ''}${field}`;
+      console.log(chalk.yellow(`   ⚠ ${warning}`));
+      warnings.push(warning);
+    });
+  }
+  
+  if (errors.size > 0) {
+    errors.forEach(message => console.log(chalk.red(`   ✖ ${message}`)));
+    console.log(chalk.red(`\n❌ ${configPath} cannot be loaded\n`));
+    emitResult(false, { file: fullPath, errors: [...errors].map(message => ({ path: '', message })) });
+    process.exit(1);
+  }
+  
+  if (warnings.length > 0) {
+    console.log(chalk.yellow('\n   Settings above are not in the config and must be given on the command line.'));
+  }
+  console.log(chalk.green(`${warnings.length > 0 ? '\n' : ''}✅ ${configPath} is valid\n`));
+  emitResult(true, { file: fullPath, warnings });
+}
+
+/**
+ * Config get command handler - prints one value
+ * @param {string} keyPath - Dotted key path, e.g. connection.host
+ * @param {object} options - CLI options
+ */
+async function configGetCommand(keyPath, options) {
+  try {
+    const configPath = getConfigPath(options);
+    const value = options.effective
+      ? parseKeyPath(keyPath).reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), loadConfig(configPath, options.target))
+      : getConfigValue(configPath, keyPath, options.target);
+    
+    if (value === undefined) {
+      console.log(chalk.red(`❌ ${describeKey(keyPath, options)} is not set`));
+      emitResult(false, { key: keyPath, error: 'Not set' });
+      process.exit(1);
+    }
+    
+    const masked = maskConfig(value, keyPath.split('.').pop());
+    console.log(masked !== null && typeof masked === 'object' ? JSON.stringify(masked, null, 2) : formatValue(masked));
+    emitResult(true, { key: keyPath, value: masked });
+  } catch (error) {
+    console.log(chalk.red(`❌ Error: ${error.message}`));
+    emitResult(false, { key: keyPath, error: error.message });
+    process.exit(1);
+  }
+}
+
+/**
+ * Config set command handler - stores one value, typed according to the schema
+ * @param {string} keyPath - Dotted key path, e.g. connection.port
+ * @param {string} text - Value as typed
+ * @param {object} options - CLI options
+ */
+async function configSetCommand(keyPath, text, options) {
+  try {
+    const configPath = getConfigPath(options);
+    const value = parseConfigValue(keyPath, text, options.target, configPath);
+    // A plain secret is masked; a ${VAR} reference is safe to show
+    const plainSecret = isSecretKey(keyPath.split('.').pop()) && !isReference(value);
+    if (plainSecret) {
+      registerSecret(value);
+    }
+    
+    setConfigValue(configPath, keyPath, value, options.target);
+    console.log(chalk.green(`✅ Set ${describeKey(keyPath, options)} to ${formatValue(maskConfig(value, keyPath.split('.').pop()))}`));
+    emitResult(true, { file: configPath, key: keyPath, value: maskConfig(value, keyPath.split('.').pop()) });
+    
+    // The user config is private to the user, a project config may be shared
+    if (plainSecret && !options.global) {
+      console.log(chalk.gray('   Tip: keep secrets in .spex.env and store a reference instead, e.g. "${SPEX_PASSWORD}",'));
+      console.log(chalk.gray('   or in a profile of the user config: litai-spex config set --global profiles.<name>.connection.password'));
+    }
+  } catch (error) {
+    console.log(chalk.red(`❌ Error: ${error.message}`));
+    emitResult(false, { key: keyPath, error: error.message });
+    process.exit(1);
+  }
+}
+
+/**
+ * Config unset command handler - removes one value
+ * @param {string} keyPath - Dotted key path, e.g. connection.password
+ * @param {object} options - CLI options
+ */
+async function configUnsetCommand(keyPath, options) {
+  try {
+    const removed = unsetConfigValue(getConfigPath(options), keyPath, options.target);
+    if (removed) {
+      console.log(chalk.green(`✅ Removed ${describeKey(keyPath, options)}`));
+    } else {
+      console.log(chalk.yellow(`⚠️  ${describeKey(keyPath, options)} is not set`));
+    }
+    emitResult(true, { key: keyPath, removed });
+  } catch (error) {
+    console.log(chalk.red(`❌ Error: ${error.message}`));
+    emitResult(false, { key: keyPath, error: error.message });
+    process.exit(1);
+  }
+}
+
+/**
+ * Config show command handler - prints the config file, or with --effective the
+ * merged settings and where each one came from
+ * @param {object} options - CLI options
+ */
+async function configShowCommand(options) {
+  try {
+    if (!options.effective) {
+      const config = maskConfig(readConfigFile(getConfigPath(options)));
+      console.log(JSON.stringify(config, null, 2));
+      emitResult(true, { config });
+      return;
+    }
+    
+    const { entries } = explainConfig(getConfigPath(options), options.target, options);
+    const width = Math.max(...entries.map(entry => entry.path.length));
+    const valueWidth = Math.min(40, Math.max(...entries.map(entry => formatValue(entry.value).length)));
+    
+    console.log(chalk.cyan(`\n⚙️  Effective configuration${options.target ? ` for target "${options.target}"` : ''}\n`));
+    entries.forEach(({ path: keyPath, value, source }) => {
+      const color = source === 'default' ? chalk.gray : source.startsWith('--') ? chalk.yellow : chalk.white;
+      console.log(`   ${keyPath.padEnd(width)}  ${color(formatValue(value).padEnd(valueWidth))}  ${chalk.gray(source)}`);
+    });
+    console.log('');
+    emitResult(true, { entries });
+  } catch (error) {
+    console.log(chalk.red(`❌ Error: ${error.message}`));
+    emitResult(false, { error: error.message });
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  configValidateCommand,
+  configGetCommand,
+  configSetCommand,
+  configUnsetCommand,
+  configShowCommand
+};
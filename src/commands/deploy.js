@@ -1,9 +1,64 @@
 const chalk = require('chalk');
 const ora = require('ora');
-const path = require('path');
-const { loadConfig, mergeWithCliOptions, validateConfig } = require('../utils/config');
-const { scanDirectory, getRemoteDirectories } = require('../utils/fileScanner');
-const { SSHDeployer } = require('../utils/sshDeployer');
+const { deploy } = require('../api/deploy');
+const { watch } = require('../api/watch');
+const { pauseDuringPrompts } = require('../utils/prompt');
+const { formatDuration, emitResult } = require('../utils/output');
+
+/**
+ * Print a per-host summary table of a fan-out deploy
+ * @param {object[]} results - Per-host results
+ */
+function printSummary(results) {
+  const width = Math.max(4, ...results.map(result => result.host.length)) + 2;
+  
+  console.log(chalk.cyan('\n📊 Deployment Summary\n'));
+  console.log(chalk.white(`   ${'Host'.padEnd(width)}${'Status'.padEnd(10)}${'Files'.padEnd(8)}${'Duration'.padEnd(10)}Script`));
+  
+  for (const result of results) {
+    const status = {
+      success: chalk.green('success'.padEnd(10)),
+      failed: chalk.red('failed'.padEnd(10)),
+      skipped: chalk.gray('skipped'.padEnd(10))
+    }[result.status];
+    const files = result.status === 'success' ? String(result.filesUploaded) : '-';
+    const duration = result.durationMs !== undefined ? formatDuration(result.durationMs / 1000) : '-';
+    const script = result.scriptCode === null || result.scriptCode === undefined ? '-' : String(result.scriptCode);
+    
+    console.log(`   ${result.host.padEnd(width)}${status}${files.padEnd(8)}${duration.padEnd(10)}${script}`);
+  }
+  
+  const failures = results.filter(result => result.status === 'failed');
+  if (failures.length > 0) {
+    console.log(chalk.red('\n❌ Errors:'));
+    failures.forEach(result => {
+      console.log(chalk.red(`   ${result.host}: ${result.error}`));
+    });
+  }
+  console.log('');
+}
+
+/**
+ * Deploy, then keep syncing changes until Ctrl-C
+ * @param {object} options - CLI options
+ * @param {object} spinner - Ora spinner
+ */
+async function watchProject(options, spinner) {
+  const watcher = await watch({ ...options, interactive: true }, { spinner, log: console.log, progress: true });
+  const { hosts } = watcher.result;
+  
+  if (hosts.length > 1) {
+    printSummary(hosts);
+  }
+  console.log(chalk.green('\n👀 Watching for changes, press Ctrl-C to stop\n'));
+  
+  process.once('SIGINT', async () => {
+    console.log(chalk.gray('\nStopping watch mode...'));
+    await watcher.close();
+    emitResult(true, watcher.result);
+    process.exit(0);
+  });
+}
 
 /**
  * Deploy command handler
@@ -11,135 +66,48 @@ const { SSHDeployer } = require('../utils/sshDeployer');
  */
 async function deployCommand(options) {
   const spinner = ora();
-  const deployer = new SSHDeployer();
+  pauseDuringPrompts(spinner);
   
   console.log(chalk.cyan('\n🚀 LitAI-Spex Deploy\n'));
   
   try {
-    // Load and merge configuration
-    spinner.start('Loading configuration...');
-    const configPath = options.config || 'deployment-config.json';
-    let config = loadConfig(configPath);
-    config = mergeWithCliOptions(config, options);
-    spinner.succeed('Configuration loaded');
+    if (options.watch) {
+      await watchProject(options, spinner);
+      return;
+    }
     
-    // Validate configuration
-    const validation = validateConfig(config);
-    if (!validation.isValid) {
+    const result = await deploy({ ...options, interactive: true }, { spinner, log: console.log, progress: true });
+    emitResult(true, result);
+    
+    if (result.hosts.length > 1) {
+      printSummary(result.hosts);
+      console.log(chalk.green(`🎉 Deployed to all ${result.hosts.length} hosts successfully!\n`));
+    } else if (!options.dryRun && result.hosts.length > 0) {
+      console.log(chalk.green('\n🎉 Deployment completed successfully!\n'));
+    }
+    
+  } catch (error) {
+    if (error.missing) {
       console.log(chalk.red('\n❌ Missing required configuration:'));
-      validation.missing.forEach(field => {
+      error.missing.forEach(field => {
         console.log(chalk.yellow(`   • ${field}`));
       });
       console.log(chalk.gray('\nRun `litai-spex init` to create a config file or provide options via CLI.\n'));
+      emitResult(false, { error: 'Missing required configuration', missing: error.missing });
       process.exit(1);
     }
     
-    // Display connection info
-    console.log(chalk.gray('\n📡 Connection Details:'));
-    console.log(chalk.gray(`   Host: ${config.connection.host}`));
-    console.log(chalk.gray(`   User: ${config.connection.username}`));
-    console.log(chalk.gray(`   Target: ${config.connection.targetDirectory}`));
-    console.log(chalk.gray(`   Auth: ${config.connection.privateKeyPath ? 'Private Key' : 'Password'}\n`));
-    
-    // Scan local files
-    spinner.start('Scanning local files...');
-    const sourceDir = process.cwd();
-    const files = scanDirectory(sourceDir, config.deploy);
-    const directories = getRemoteDirectories(files);
-    spinner.succeed(`Found ${chalk.green(files.length)} files to deploy`);
-    
-    if (files.length === 0) {
-      console.log(chalk.yellow('\n⚠️  No files to deploy. Check your exclude settings.\n'));
-      process.exit(0);
-    }
-    
-    // Display exclusions
-    console.log(chalk.gray('\n📋 Exclusions:'));
-    console.log(chalk.gray(`   Directories: ${config.deploy.excludeDirectories.join(', ')}`));
-    console.log(chalk.gray(`   Files: ${config.deploy.excludeFiles.join(', ')}`));
-    console.log(chalk.gray(`   Patterns: ${config.deploy.excludePatterns.join(', ')}\n`));
-    
-    // Connect to server
-    spinner.start(`Connecting to ${config.connection.host}...`);
-    await deployer.connect(config.connection);
-    spinner.succeed('Connected to server');
-    
-    // Get server info
-    try {
-      const serverInfo = await deployer.getServerInfo();
-      console.log(chalk.gray(`   Server: ${serverInfo.hostname} (${serverInfo.os})`));
-      console.log(chalk.gray(`   Uptime: ${serverInfo.uptime}\n`));
-    } catch (e) {
-      // Server info is optional, don't fail if it doesn't work
-    }
-    
-    // Create directories
-    if (directories.length > 0) {
-      spinner.start(`Creating ${directories.length} directories...`);
-      await deployer.createDirectories(config.connection.targetDirectory, directories);
-      spinner.succeed(`Created ${directories.length} directories`);
-    }
-    
-    // Upload files
-    console.log(chalk.cyan('\n📤 Uploading files...\n'));
-    
-    let lastPercent = -1;
-    await deployer.uploadFiles(
-      config.connection.targetDirectory,
-      files,
-      (current, total, filename) => {
-        const percent = Math.round((current / total) * 100);
-        if (percent !== lastPercent) {
-          lastPercent = percent;
-          process.stdout.clearLine(0);
-          process.stdout.cursorTo(0);
-          const bar = '█'.repeat(Math.floor(percent / 2)) + '░'.repeat(50 - Math.floor(percent / 2));
-          process.stdout.write(chalk.cyan(`   [${bar}] ${percent}% - ${filename}`));
-        }
-      }
-    );
-    
-    console.log('\n');
-    console.log(chalk.green(`✅ Successfully uploaded ${files.length} files\n`));
-    
-    // Execute script if requested
-    if (options.run !== undefined) {
-      const scriptName = typeof options.run === 'string' ? options.run : config.scripts.afterDeploy;
-      
-      console.log(chalk.cyan(`\n🔧 Executing script: ${scriptName}\n`));
-      spinner.start('Running script...');
-      
-      try {
-        const result = await deployer.executeScript(config.connection.targetDirectory, scriptName);
-        spinner.succeed('Script executed');
-        
-        if (result.stdout) {
-          console.log(chalk.gray('\n📋 Script output:'));
-          console.log(chalk.white(result.stdout));
-        }
-        
-        if (result.stderr) {
-          console.log(chalk.yellow('\n⚠️  Script stderr:'));
-          console.log(chalk.yellow(result.stderr));
-        }
-        
-        if (result.code !== 0) {
-          console.log(chalk.yellow(`\n⚠️  Script exited with code: ${result.code}`));
-        }
-      } catch (scriptError) {
-        spinner.fail('Script execution failed');
-        console.log(chalk.red(`   ${scriptError.message}`));
-      }
+    // Some hosts of a fan-out deploy failed
+    if (error.result) {
+      printSummary(error.result.hosts);
+      console.log(chalk.red(`❌ ${error.message}\n`));
+      emitResult(false, { ...error.result, error: error.message });
+      process.exit(1);
     }
     
-    // Disconnect
-    deployer.disconnect();
-    
-    console.log(chalk.green('\n🎉 Deployment completed successfully!\n'));
-    
-  } catch (error) {
     spinner.fail('Deployment failed');
     console.log(chalk.red(`\n❌ Error: ${error.message}\n`));
+    emitResult(false, { error: error.message, exitCode: error.exitCode || 1 });
     
     if (error.message.includes('ECONNREFUSED')) {
       console.log(chalk.yellow('   Hint: Check if the server is running and accessible.'));
@@ -147,8 +115,7 @@ async function deployCommand(options) {
       console.log(chalk.yellow('   Hint: Check your username and password/key.'));
     }
     
-    deployer.disconnect();
-    process.exit(1);
+    process.exit(error.exitCode || 1);
   }
 }
 
@@ -0,0 +1,55 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const { exec } = require('../api/exec');
+const { pauseDuringPrompts } = require('../utils/prompt');
+const { emitResult } = require('../utils/output');
+
+/**
+ * Exec command handler - runs a command on the remote server and exits with its code.
+ * Stdout is left to the remote command, so the header and status go to stderr.
+ * @param {string} command - Shell command
+ * @param {object} options - CLI options
+ */
+async function execCommand(command, options) {
+  const spinner = ora();
+  pauseDuringPrompts(spinner);
+  
+  console.error(chalk.cyan('\n⚡ LitAI-Spex Exec\n'));
+  
+  try {
+    const result = await exec(command, {
+      ...options,
+      interactive: true,
+      onStdout: line => console.log(line),
+      onStderr: line => console.error(line)
+    }, { spinner, log: console.error });
+    
+    if (result.timedOut) {
+      console.error(chalk.red(`\n❌ Command timed out after ${options.timeout}s`));
+    } else if (result.interrupted) {
+      console.error(chalk.yellow('\n⚠️  Command was interrupted'));
+    } else if (result.code === null) {
+      console.error(chalk.red(`\n❌ Command was killed${result.signal ? ` by SIG${result.signal}` : ''}`));
+    }
+    emitResult(result.exitCode === 0, result);
+    process.exit(result.exitCode);
+  
+  } catch (error) {
+    if (error.missing) {
+      console.error(chalk.red('❌ Missing required configuration:'));
+      error.missing.forEach(field => {
+        console.error(chalk.yellow(`   • ${field}`));
+      });
+      console.error('');
+      emitResult(false, { error: 'Missing required configuration', missing: error.missing });
+      process.exit(1);
+    }
+    
+    spinner.fail('Exec failed');
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    emitResult(false, { error: error.message });
+    process.exit(1);
+  }
+}
+
+module.exports = { execCommand };
@@ -1,31 +1,31 @@
 const chalk = require('chalk');
+const ora = require('ora');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { DEFAULT_CONFIG } = require('../utils/config');
+const { SSHDeployer } = require('../utils/sshDeployer');
+const { DEFAULT_IDENTITY_FILES, tildify } = require('../utils/sshConfig');
+const { getLocalIP, generateMask, generateIPRange, findSSHHosts } = require('../utils/network');
+const { detectProjectTypes, getSuggestedExcludes } = require('../utils/projectTypes');
+const { loadEnvFiles, interpolateConfig, setEnvValue } = require('../utils/env');
+const { pauseDuringPrompts, promptInput, promptSecret, confirm, choose } = require('../utils/prompt');
+const { CONFIG_FILENAME, findConfigFile, getConfigFormat } = require('../utils/configFile');
+const { emitResult } = require('../utils/output');
+
+const SPEX_ENV_FILENAME = '.spex.env';
 
 /**
- * Init command handler - creates a default deployment-config.json file
+ * Settings of a new config file, before the wizard's answers are applied
+ * @returns {object} Config file contents
  */
-async function initCommand() {
-  const configPath = path.resolve(process.cwd(), 'deployment-config.json');
-  
-  console.log(chalk.cyan('\n🔧 LitAI-Spex Initialize\n'));
-  
-  // Check if config already exists
-  if (fs.existsSync(configPath)) {
-    console.log(chalk.yellow('⚠️  deployment-config.json already exists in this directory.'));
-    console.log(chalk.gray('   Delete it first if you want to create a new one.\n'));
-    process.exit(1);
-  }
-  
-  // Create config file
-  const configContent = {
+function createBaseConfig() {
+  return {
     connection: {
-      host: '192.168.1.100',
-      username: 'deploy',
+      host: '',
+      username: '',
       password: '',
       privateKeyPath: '',
-      targetDirectory: '/home/rock/ui'
+      targetDirectory: ''
     },
     deploy: {
       excludeDirectories: [
@@ -43,7 +43,7 @@ async function initCommand() {
         '.env.local',
         '.env.development',
         '.DS_Store',
-        'deployment-config.json',
+        CONFIG_FILENAME,
         'Thumbs.db'
       ],
       excludePatterns: [
@@ -58,32 +58,159 @@ async function initCommand() {
       afterDeploy: 'deploy.sh'
     },
     project: {
-      repositoryUrl: 'https://github.com/username/repo.git'
+      repositoryUrl: ''
     }
   };
+}
+
+/**
+ * Get the name of the .spex.env variable holding the password
+ * @param {string} [targetName] - Named target
+ * @returns {string}
+ */
+function getPasswordVariable(targetName) {
+  return targetName
+    ? `SPEX_${targetName.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_PASSWORD`
+    : 'SPEX_PASSWORD';
+}
+
+/**
+ * Scan the local network and let the user pick a host
+ * @param {object} spinner - Ora spinner
+ * @param {number} port - SSH port to look for
+ * @returns {Promise<string|null>} Chosen host, or null if none was found or chosen
+ */
+async function pickScannedHost(spinner, port) {
+  const localIP = getLocalIP();
+  if (!localIP) {
+    console.log(chalk.yellow('   Could not detect the local IP address, enter the host manually.'));
+    return null;
+  }
+  
+  const mask = generateMask(localIP);
+  spinner.start(`Scanning ${mask}.* for SSH hosts (port ${port})...`);
+  const hosts = await findSSHHosts(generateIPRange(mask, localIP), {
+    port,
+    timeout: 300,
+    batchSize: 32,
+    onProgress: (scanned, total) => {
+      spinner.text = `Scanning ${mask}.* for SSH hosts (port ${port})... ${scanned}/${total}`;
+    }
+  });
+  
+  if (hosts.length === 0) {
+    spinner.warn('No SSH hosts found, enter the host manually');
+    return null;
+  }
+  spinner.succeed(`Found ${hosts.length} host(s)`);
+  
+  const index = await choose('   Which host do you want to deploy to?', [...hosts, 'None of these']);
+  return index < hosts.length ? hosts[index] : null;
+}
+
+/**
+ * Ask for the connection settings
+ * @param {object} current - Current connection settings (used as defaults)
+ * @param {object} spinner - Ora spinner
+ * @returns {Promise<object>} Answers: host, port, username, auth, privateKeyPath, password
+ */
+async function askConnection(current, spinner) {
+  const port = parseInt(await promptInput('SSH port', String(current.port || 22)), 10) || 22;
+  
+  let host = '';
+  while (!host) {
+    host = await promptInput('Host (IP or hostname, "scan" to search the local network)', current.host);
+    if (host === 'scan') {
+      host = (await pickScannedHost(spinner, port)) || '';
+    }
+  }
+  
+  const username = await promptInput('Username', current.username || os.userInfo().username);
+  
+  const defaultKey = DEFAULT_IDENTITY_FILES.find(file => fs.existsSync(file));
+  const methods = ['SSH key', 'Password', 'ssh-agent or ~/.ssh/config'];
+  let defaultMethod = defaultKey ? 0 : 1;
+  if (current.privateKeyPath) defaultMethod = 0;
+  else if (current.password) defaultMethod = 1;
+  
+  const method = await choose('How do you want to authenticate?', methods, defaultMethod);
+  const answers = { host, port, username, auth: ['key', 'password', 'agent'][method] };
+  
+  if (answers.auth === 'key') {
+    answers.privateKeyPath = await promptInput('   Private key', current.privateKeyPath || (defaultKey ? tildify(defaultKey) : '~/.ssh/id_ed25519'));
+  } else if (answers.auth === 'password') {
+    // An empty answer keeps the stored password
+    answers.password = await promptSecret(current.password ? '   Password (Enter to keep the current one): ' : '   Password: ');
+  }
+  
+  return answers;
+}
+
+/**
+ * Try to connect with the given settings
+ * @param {object} connection - Connection settings
+ * @param {object} spinner - Ora spinner
+ * @returns {Promise<boolean>} True if the connection worked
+ */
+async function testConnection(connection, spinner) {
+  const deployer = new SSHDeployer();
+  
+  spinner.start(`Testing connection to ${connection.username}@${connection.host}...`);
+  try {
+    // Stored values may reference .spex.env, e.g. password: "${SPEX_PASSWORD}"
+    const { vars } = loadEnvFiles(process.cwd());
+    await deployer.connect({ ...interpolateConfig(connection, { ...vars, ...process.env }), readyTimeout: 10000 });
+    spinner.succeed('Connection successful');
+    
+    try {
+      const serverInfo = await deployer.getServerInfo();
+      console.log(chalk.gray(`   Server: ${serverInfo.hostname} (${serverInfo.os})`));
+    } catch (e) {
+      // Server info is optional
+    }
+    
+    if (connection.targetDirectory && !(await deployer.directoryExists(connection.targetDirectory))) {
+      console.log(chalk.gray(`   ${connection.targetDirectory} does not exist yet, it will be created on the first deploy`));
+    }
+    return true;
+  } catch (error) {
+    spinner.fail(`Connection failed: ${error.message}`);
+    return false;
+  } finally {
+    deployer.disconnect();
+  }
+}
+
+/**
+ * Get suggested exclusions that are not in the deploy section yet
+ * @param {string} dir - Project directory
+ * @param {object} deploy - Deploy section of the config
+ * @returns {{types: string[], additions: object, count: number}}
+ */
+function getExcludeAdditions(dir, deploy) {
+  const types = detectProjectTypes(dir);
+  const suggested = getSuggestedExcludes(types);
+  const additions = {};
+  let count = 0;
   
-  fs.writeFileSync(configPath, JSON.stringify(configContent, null, 2));
-
-  console.log(chalk.green('✅ Created deployment-config.json\n'));
-  console.log(chalk.gray('📝 Configuration file created with default settings.'));
-  console.log(chalk.gray('   Edit deployment-config.json to set your connection details:\n'));
-  console.log(chalk.white('   {'));
-  console.log(chalk.white('     "connection": {'));
-  console.log(chalk.cyan('       "host": "your-server-ip",'));
-  console.log(chalk.cyan('       "username": "your-username",'));
-  console.log(chalk.cyan('       "password": "your-password",'));
-  console.log(chalk.gray('       // OR use private key:'));
-  console.log(chalk.cyan('       "privateKeyPath": "~/.ssh/id_rsa",'));
-  console.log(chalk.cyan('       "targetDirectory": "/var/www/app"'));
-  console.log(chalk.white('     }'));
-  console.log(chalk.white('   }\n'));
-  
-  console.log(chalk.gray('🔒 Security tip: Add deployment-config.json to .gitignore!\n'));
-  
-  // Create sample deploy.sh if it doesn't exist
+  for (const key of Object.keys(suggested)) {
+    additions[key] = suggested[key].filter(value => !(deploy[key] || []).includes(value));
+    count += additions[key].length;
+  }
+  
+  return { types: types.map(type => type.name), additions, count };
+}
+
+/**
+ * Create a sample deploy.sh if the project has none
+ */
+function createSampleDeployScript() {
   const deployShPath = path.resolve(process.cwd(), 'deploy.sh');
-  if (!fs.existsSync(deployShPath)) {
-    const deployShContent = `#!/bin/bash
+  if (fs.existsSync(deployShPath)) {
+    return;
+  }
+  
+  const deployShContent = `#!/bin/bash
 # Deploy script - runs after files are uploaded
 # This script runs on the remote server
 
@@ -103,11 +230,169 @@ npm install
 
 echo "✅ Post-deployment tasks completed!"
 `;
+  
+  fs.writeFileSync(deployShPath, deployShContent);
+  console.log(chalk.green('✅ Created sample deploy.sh'));
+  console.log(chalk.gray('   Edit deploy.sh to add your post-deployment commands.'));
+  console.log(chalk.gray('   Run with: litai-spex deploy -r\n'));
+}
+
+/**
+ * Init command handler - asks for the connection settings, tests them and
+ * creates or updates deployment-config.json. With --yes, values come from flags only.
+ * @param {object} options - CLI options
+ */
+async function initCommand(options = {}) {
+  const configPath = path.resolve(process.cwd(), CONFIG_FILENAME);
+  const spinner = ora();
+  pauseDuringPrompts(spinner);
+  const interactive = !options.yes;
+  
+  console.log(chalk.cyan('\n🔧 LitAI-Spex Initialize\n'));
+  
+  try {
+    if (interactive && !process.stdin.isTTY) {
+      throw new Error('Not running in a terminal. Use --yes and pass settings as flags (see litai-spex init --help)');
+    }
+    
+    // A deployment-config.json here would hide a config in another format
+    const existing = findConfigFile();
+    if (existing && path.dirname(existing) === process.cwd() && getConfigFormat(existing) !== 'json') {
+      throw new Error(`This project is configured in ${path.basename(existing)}. Edit it, or use: litai-spex config set <key> <value>`);
+    }
+    
+    let config = createBaseConfig();
+    const exists = fs.existsSync(configPath);
     
-    fs.writeFileSync(deployShPath, deployShContent);
-    console.log(chalk.green('✅ Created sample deploy.sh\n'));
-    console.log(chalk.gray('   Edit deploy.sh to add your post-deployment commands.'));
-    console.log(chalk.gray('   Run with: litai-spex deploy -r\n'));
+    if (exists) {
+      try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Failed to parse ${CONFIG_FILENAME}: ${error.message}`);
+      }
+      
+      const what = options.target ? `target "${options.target}" in ${CONFIG_FILENAME}` : CONFIG_FILENAME;
+      if (interactive && !(await confirm(`${CONFIG_FILENAME} already exists. Update ${what}? (Y/n): `, true))) {
+        console.log(chalk.gray('\n   Nothing changed.\n'));
+        return;
+      }
+      console.log('');
+    }
+    
+    // A target only stores what differs from the shared settings
+    const shared = config.connection || {};
+    let section = config;
+    if (options.target) {
+      config.targets = config.targets || {};
+      config.targets[options.target] = config.targets[options.target] || {};
+      section = config.targets[options.target];
+    }
+    section.connection = section.connection || {};
+    const current = { ...shared, ...section.connection };
+    
+    // Flags are used as they are with --yes and as the suggested answers otherwise
+    const defaults = {
+      ...current,
+      host: options.ip || current.host,
+      port: options.port || current.port,
+      username: options.user || current.username,
+      privateKeyPath: options.key || (options.password ? '' : current.privateKeyPath),
+      password: options.password || (options.key ? '' : current.password),
+      targetDirectory: options.directory || current.targetDirectory || `/var/www/${path.basename(process.cwd())}`
+    };
+    
+    const answers = interactive
+      ? await askConnection(defaults, spinner)
+      : {
+        host: defaults.host,
+        port: defaults.port,
+        username: defaults.username,
+        auth: options.key ? 'key' : options.password ? 'password' : null,
+        privateKeyPath: options.key,
+        password: options.password
+      };
+    
+    const targetDirectory = interactive
+      ? await promptInput('Target directory on the server', defaults.targetDirectory)
+      : defaults.targetDirectory;
+    
+    const connection = {
+      ...current,
+      host: answers.host || '',
+      username: answers.username || '',
+      targetDirectory
+    };
+    connection.port = answers.port && answers.port !== 22 ? answers.port : undefined;
+    if (answers.auth) {
+      connection.privateKeyPath = answers.auth === 'key' ? answers.privateKeyPath : '';
+      connection.password = answers.auth === 'password' ? answers.password || defaults.password || '' : '';
+    }
+    
+    // Test before saving
+    if (connection.host && options.test !== false) {
+      console.log('');
+      const ok = await testConnection({ ...connection, acceptNewHostKey: options.acceptNewHostKey || connection.acceptNewHostKey }, spinner);
+      
+      if (!ok) {
+        if (!interactive) {
+          throw new Error('Connection test failed, config not saved (use --no-test to skip the test)');
+        }
+        if (!(await confirm('Save the settings anyway? (y/N): '))) {
+          console.log(chalk.gray('\n   Nothing changed.\n'));
+          return;
+        }
+      }
+    }
+    
+    // Keep the password out of the config file
+    if (answers.auth === 'password' && answers.password) {
+      const variable = getPasswordVariable(options.target);
+      setEnvValue(path.resolve(process.cwd(), SPEX_ENV_FILENAME), variable, answers.password);
+      connection.password = `\${${variable}}`;
+      console.log(chalk.gray(`   Password stored in ${SPEX_ENV_FILENAME} as ${variable}`));
+    }
+    
+    for (const key of ['host', 'port', 'username', 'password', 'privateKeyPath', 'targetDirectory']) {
+      if (connection[key] === undefined || (section !== config && connection[key] === shared[key])) {
+        delete section.connection[key];
+      } else {
+        section.connection[key] = connection[key];
+      }
+    }
+    
+    // Suggest exclusions for the detected project types
+    config.deploy = config.deploy || {};
+    const { types, additions, count } = getExcludeAdditions(process.cwd(), config.deploy);
+    if (count > 0) {
+      console.log(chalk.cyan(`\n📋 Detected: ${types.length > 0 ? types.join(', ') : 'no known project type'}`));
+      for (const [key, values] of Object.entries(additions)) {
+        if (values.length > 0) console.log(chalk.gray(`   ${key}: ${values.join(', ')}`));
+      }
+      
+      if (!interactive || await confirm('Add these exclusions? (Y/n): ', true)) {
+        for (const [key, values] of Object.entries(additions)) {
+          config.deploy[key] = [...(config.deploy[key] || []), ...values];
+        }
+      }
+    }
+    
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    
+    const what = options.target ? `target "${options.target}" in ${CONFIG_FILENAME}` : CONFIG_FILENAME;
+    console.log(chalk.green(`\n✅ ${exists ? 'Updated' : 'Created'} ${what}\n`));
+    
+    if (!exists) {
+      createSampleDeployScript();
+    }
+    
+    console.log(chalk.gray('🔒 Security tip: Add deployment-config.json and .spex.env to .gitignore!'));
+    console.log(chalk.gray(`   Deploy with: litai-spex deploy${options.target ? ` --target ${options.target}` : ''}\n`));
+    emitResult(true, { file: configPath, target: options.target || null, created: !exists });
+  } catch (error) {
+    spinner.fail('Initialization failed');
+    console.log(chalk.red(`\n❌ Error: ${error.message}\n`));
+    emitResult(false, { error: error.message });
+    process.exit(1);
   }
 }
 
@@ -0,0 +1,42 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const { pull } = require('../api/pull');
+const { pauseDuringPrompts } = require('../utils/prompt');
+const { emitResult } = require('../utils/output');
+
+/**
+ * Pull command handler - downloads a remote file or directory
+ * @param {string} remotePath - File or directory on the server
+ * @param {string} [localPath] - Local destination
+ * @param {object} options - CLI options
+ */
+async function pullCommand(remotePath, localPath, options) {
+  const spinner = ora();
+  pauseDuringPrompts(spinner);
+  
+  console.log(chalk.cyan('\n📥 LitAI-Spex Pull\n'));
+  
+  try {
+    const result = await pull(remotePath, localPath, { ...options, interactive: true }, { spinner, log: console.log, progress: true });
+    console.log(chalk.gray(`   ${result.host}:${result.remotePath} -> ${result.localPath}\n`));
+    emitResult(true, result);
+    
+  } catch (error) {
+    if (error.missing) {
+      console.log(chalk.red('❌ Missing required configuration:'));
+      error.missing.forEach(field => {
+        console.log(chalk.yellow(`   • ${field}`));
+      });
+      console.log('');
+      emitResult(false, { error: 'Missing required configuration', missing: error.missing });
+      process.exit(1);
+    }
+    
+    spinner.fail('Pull failed');
+    console.log(chalk.red(`\n❌ Error: ${error.message}\n`));
+    emitResult(false, { error: error.message });
+    process.exit(1);
+  }
+}
+
+module.exports = { pullCommand };
@@ -0,0 +1,114 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const { loadConfig, mergeWithCliOptions, validateConfig } = require('../utils/config');
+const { SSHDeployer } = require('../utils/sshDeployer');
+const { RELEASES_DIR } = require('../utils/releases');
+const { pauseDuringPrompts } = require('../utils/prompt');
+const { emitResult } = require('../utils/output');
+
+/**
+ * List the releases on one host
+ * @param {object} connection - Connection settings with the host
+ * @param {string} targetDir - Target directory
+ * @param {object} spinner - Ora spinner
+ * @returns {Promise<{releases: string[], current: string|null}>}
+ */
+async function listHostReleases(connection, targetDir, spinner) {
+  const deployer = new SSHDeployer();
+  
+  try {
+    spinner.start(`Connecting to ${connection.host}...`);
+    await deployer.connect(connection);
+    spinner.succeed(`Connected to ${connection.host}`);
+    
+    const releases = await deployer.listReleases(targetDir);
+    const current = await deployer.getCurrentRelease(targetDir);
+    return { releases, current };
+  } finally {
+    deployer.disconnect();
+  }
+}
+
+/**
+ * Print the releases of one host, newest first
+ * @param {string[]} releases - Release ids, oldest first
+ * @param {string|null} current - Current release
+ * @param {string} title - Heading, with the host when there are several
+ */
+function printReleases(releases, current, title) {
+  if (releases.length === 0) {
+    console.log(chalk.yellow(`\n⚠️  No releases found in ${title}`));
+    console.log(chalk.gray('   Deploy with --release to create one.\n'));
+    return;
+  }
+  
+  console.log(chalk.gray(`\n📋 Releases in ${title}:\n`));
+  releases.slice().reverse().forEach(release => {
+    if (release === current) {
+      console.log(chalk.green(`   ● ${release} (current)`));
+    } else {
+      console.log(chalk.white(`     ${release}`));
+    }
+  });
+  console.log('');
+}
+
+/**
+ * Releases command handler - lists releases on the remote server(s)
+ * @param {object} options - CLI options
+ */
+async function releasesCommand(options) {
+  const spinner = ora();
+  pauseDuringPrompts(spinner);
+  
+  console.log(chalk.cyan('\n📚 LitAI-Spex Releases\n'));
+  
+  try {
+    // Load and merge configuration
+    const config = mergeWithCliOptions(loadConfig(options.config, options.target), options);
+    
+    const validation = validateConfig(config);
+    if (!validation.isValid) {
+      console.log(chalk.red('❌ Missing required configuration:'));
+      validation.missing.forEach(field => {
+        console.log(chalk.yellow(`   • ${field}`));
+      });
+      console.log('');
+      emitResult(false, { error: 'Missing required configuration', missing: validation.missing });
+      process.exit(1);
+    }
+    
+    const targetDir = config.connection.targetDirectory;
+    const hosts = config.hosts.length > 0 ? config.hosts : [config.connection.host];
+    const results = [];
+    
+    for (const host of hosts) {
+      const title = hosts.length > 1 ? `${host}:${targetDir}/${RELEASES_DIR}` : `${targetDir}/${RELEASES_DIR}`;
+      try {
+        const { releases, current } = await listHostReleases({ ...config.connection, host }, targetDir, spinner);
+        printReleases(releases, current, title);
+        results.push({ host, releases, current, error: null });
+      } catch (error) {
+        spinner.fail(`${host}: ${error.message}`);
+        results.push({ host, releases: [], current: null, error: error.message });
+      }
+    }
+    
+    const failed = results.filter(result => result.error);
+    if (failed.length > 0) {
+      const message = hosts.length > 1 ? `Failed to list releases on ${failed.length} of ${hosts.length} host(s)` : failed[0].error;
+      console.log(chalk.red(`\n❌ Error: ${message}\n`));
+      emitResult(false, { targetDirectory: targetDir, hosts: results, error: message });
+      process.exit(1);
+    }
+    emitResult(true, { targetDirectory: targetDir, hosts: results });
+    
+  } catch (error) {
+    spinner.fail('Failed to list releases');
+    console.log(chalk.red(`\n❌ Error: ${error.message}\n`));
+    emitResult(false, { error: error.message });
+    process.exit(1);
+  }
+}
+
+module.exports = { releasesCommand };
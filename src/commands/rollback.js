@@ -0,0 +1,132 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const { loadConfig, mergeWithCliOptions, validateConfig } = require('../utils/config');
+const { SSHDeployer } = require('../utils/sshDeployer');
+const { RELEASES_DIR, CURRENT_LINK, getRollbackTarget } = require('../utils/releases');
+const { pauseDuringPrompts } = require('../utils/prompt');
+const { emitResult } = require('../utils/output');
+
+/**
+ * Roll back one host
+ * @param {object} connection - Connection settings with the host
+ * @param {string} targetDir - Target directory
+ * @param {string} [release] - Release id to activate (default: the one before current)
+ * @param {object} spinner - Ora spinner
+ * @returns {Promise<{from: string|null, to: string, changed: boolean}>}
+ */
+async function rollbackHost(connection, targetDir, release, spinner) {
+  const deployer = new SSHDeployer();
+  
+  try {
+    spinner.start(`Connecting to ${connection.host}...`);
+    await deployer.connect(connection);
+    spinner.succeed(`Connected to ${connection.host}`);
+    
+    const releases = await deployer.listReleases(targetDir);
+    const current = await deployer.getCurrentRelease(targetDir);
+    const target = getRollbackTarget(releases, current, release);
+    
+    if (target === current) {
+      console.log(chalk.yellow(`⚠️  Release ${target} is already current on ${connection.host}`));
+      return { from: current, to: target, changed: false };
+    }
+    
+    spinner.start(`Switching ${connection.host} to release ${target}...`);
+    await deployer.activateRelease(targetDir, target);
+    spinner.succeed(`${connection.host}: ${CURRENT_LINK} -> ${RELEASES_DIR}/${target}`);
+    return { from: current, to: target, changed: true };
+  } finally {
+    deployer.disconnect();
+  }
+}
+
+/**
+ * Print a per-host summary of a rollback
+ * @param {object[]} results - Per-host results
+ */
+function printSummary(results) {
+  const width = Math.max(4, ...results.map(result => result.host.length)) + 2;
+  
+  console.log(chalk.cyan('\n📊 Rollback Summary\n'));
+  results.forEach(result => {
+    if (result.error) {
+      console.log(chalk.red(`   ${result.host.padEnd(width)}failed: ${result.error}`));
+    } else {
+      const change = result.changed ? `${result.from || 'none'} -> ${result.to}` : `${result.to} (already current)`;
+      console.log(chalk.green(`   ${result.host.padEnd(width)}${change}`));
+    }
+  });
+}
+
+/**
+ * Rollback command handler - points the current symlink at an earlier release
+ * on every configured host
+ * @param {string} [release] - Release id to activate (default: the one before current)
+ * @param {object} options - CLI options
+ */
+async function rollbackCommand(release, options) {
+  const spinner = ora();
+  pauseDuringPrompts(spinner);
+  
+  console.log(chalk.cyan('\n⏪ LitAI-Spex Rollback\n'));
+  
+  try {
+    // Load and merge configuration
+    const config = mergeWithCliOptions(loadConfig(options.config, options.target), options);
+    
+    const validation = validateConfig(config);
+    if (!validation.isValid) {
+      console.log(chalk.red('❌ Missing required configuration:'));
+      validation.missing.forEach(field => {
+        console.log(chalk.yellow(`   • ${field}`));
+      });
+      console.log('');
+      emitResult(false, { error: 'Missing required configuration', missing: validation.missing });
+      process.exit(1);
+    }
+    
+    const targetDir = config.connection.targetDirectory;
+    const hosts = config.hosts.length > 0 ? config.hosts : [config.connection.host];
+    const results = [];
+    
+    // Without a release id every host goes back to its own previous release
+    for (const host of hosts) {
+      try {
+        const result = await rollbackHost({ ...config.connection, host }, targetDir, release, spinner);
+        results.push({ host, ...result, error: null });
+      } catch (error) {
+        spinner.fail(`${host}: ${error.message}`);
+        results.push({ host, from: null, to: null, changed: false, error: error.message });
+      }
+    }
+    
+    if (hosts.length > 1) {
+      printSummary(results);
+    }
+    
+    const failed = results.filter(result => result.error);
+    if (failed.length > 0) {
+      const message = hosts.length > 1 ? `Rollback failed on ${failed.length} of ${hosts.length} host(s)` : failed[0].error;
+      console.log(chalk.red(`\n❌ Error: ${message}\n`));
+      emitResult(false, { hosts: results, error: message });
+      process.exit(1);
+    }
+    
+    if (hosts.length === 1 && results[0].changed) {
+      console.log(chalk.green(`\n✅ Rolled back from ${results[0].from || 'none'} to ${results[0].to}\n`));
+    } else if (hosts.length > 1) {
+      console.log(chalk.green(`\n✅ Rolled back ${hosts.length} hosts\n`));
+    } else {
+      console.log('');
+    }
+    emitResult(true, { hosts: results });
+    
+  } catch (error) {
+    spinner.fail('Rollback failed');
+    console.log(chalk.red(`\n❌ Error: ${error.message}\n`));
+    emitResult(false, { error: error.message });
+    process.exit(1);
+  }
+}
+
+module.exports = { rollbackCommand };
@@ -0,0 +1,158 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const path = require('path');
+const { loadConfig, mergeWithCliOptions, getConfigValue, setConfigValue, unsetConfigValue } = require('../utils/config');
+const { getConfigFormat } = require('../utils/configFile');
+const { SSHDeployer } = require('../utils/sshDeployer');
+const { expandHome, tildify } = require('../utils/sshConfig');
+const { DEFAULT_KEY_PATH, ensureKeyPair } = require('../utils/sshKeys');
+const { pauseDuringPrompts } = require('../utils/prompt');
+const { emitResult } = require('../utils/output');
+
+/**
+ * Install the public key on one host and check that it can log in with it
+ * @param {object} connection - Connection configuration for the host
+ * @param {string} keyPath - Private key to install
+ * @param {string} publicKey - Matching public key line
+ * @param {object} spinner - Ora spinner
+ */
+async function setupHost(connection, keyPath, publicKey, spinner) {
+  const deployer = new SSHDeployer();
+  
+  try {
+    spinner.start(`Connecting to ${connection.username}@${connection.host}...`);
+    await deployer.connect(connection);
+    
+    spinner.text = `Adding key to ~/.ssh/authorized_keys on ${connection.host}...`;
+    const added = await deployer.installPublicKey(publicKey);
+    deployer.disconnect();
+    
+    // Only the new key may be used, so a working password or agent cannot hide a problem
+    spinner.text = `Checking key login on ${connection.host}...`;
+    const check = new SSHDeployer();
+    try {
+      await check.connect({ ...connection, password: '', privateKeyPath: keyPath, passphrase: '', agent: false });
+    } catch (error) {
+      throw new Error(`Key was ${added ? 'added' : 'already present'} but key login failed: ${error.message}`);
+    } finally {
+      check.disconnect();
+    }
+    
+    spinner.succeed(`${connection.host}: key ${added ? 'added' : 'already installed'}, key login works`);
+  } finally {
+    deployer.disconnect();
+  }
+}
+
+/**
+ * Point the config at the private key and remove the stored password
+ * @param {string} configPath - Path to config file
+ * @param {string} [targetName] - Named target to update instead of the shared settings
+ * @param {string} keyPath - Private key path
+ * @returns {string[]} Notes about what was changed
+ */
+function updateConfig(configPath, targetName, keyPath) {
+  const notes = [];
+  
+  setConfigValue(configPath, 'connection.privateKeyPath', tildify(keyPath), targetName);
+  notes.push(`privateKeyPath set to ${tildify(keyPath)}`);
+  
+  const password = getConfigValue(configPath, 'connection.password', targetName);
+  if (unsetConfigValue(configPath, 'connection.password', targetName) && password) {
+    notes.push('password removed');
+    const reference = typeof password === 'string' && password.match(/^\$\{(?:env:)?([A-Za-z_][A-Za-z0-9_]*)\}$/);
+    if (reference) {
+      notes.push(`${reference[1]} in .spex.env is no longer needed by this ${targetName ? 'target' : 'config'}`);
+    }
+  }
+  if (targetName && getConfigValue(configPath, 'connection.password')) {
+    notes.push('the shared connection.password is kept for other targets');
+  }
+  
+  return notes;
+}
+
+/**
+ * Setup-key command handler - installs an SSH key on the server(s) and switches the config to it
+ * @param {object} options - CLI options
+ */
+async function setupKeyCommand(options) {
+  const spinner = ora();
+  pauseDuringPrompts(spinner);
+  
+  console.log(chalk.cyan('\n🔑 LitAI-Spex Key Setup\n'));
+  
+  try {
+    // -k names the key to install, not the key to log in with
+    const config = mergeWithCliOptions(loadConfig(options.config, options.target), { ...options, key: undefined });
+    const hosts = config.hosts.length > 0 ? config.hosts : [config.connection.host].filter(Boolean);
+    
+    if (hosts.length === 0 || !config.connection.username) {
+      console.log(chalk.red('❌ Missing required configuration:'));
+      if (hosts.length === 0) console.log(chalk.yellow('   • host (use -ip/--hosts or set in deployment-config.json)'));
+      if (!config.connection.username) console.log(chalk.yellow('   • username (use -u or set in deployment-config.json)'));
+      console.log('');
+      emitResult(false, { error: 'Missing required configuration' });
+      process.exit(1);
+    }
+    
+    const keyPath = path.resolve(expandHome(options.key || DEFAULT_KEY_PATH));
+    const { publicKey, created } = ensureKeyPair(keyPath);
+    if (created) {
+      console.log(chalk.green(`✅ Generated ed25519 key pair: ${tildify(keyPath)}`));
+    } else {
+      console.log(chalk.gray(`Using existing key: ${tildify(keyPath)}`));
+    }
+    console.log(chalk.gray(`   ${publicKey}\n`));
+    
+    const failed = [];
+    const results = [];
+    for (const host of hosts) {
+      try {
+        await setupHost({ ...config.connection, host }, keyPath, publicKey, spinner);
+        results.push({ host, success: true, error: null });
+      } catch (error) {
+        spinner.fail(`${host}: ${error.message}`);
+        failed.push(host);
+        results.push({ host, success: false, error: error.message });
+      }
+    }
+    const summary = { keyPath, created, hosts: results, configUpdated: false };
+    
+    if (failed.length > 0) {
+      console.log(chalk.red(`\n❌ Key setup failed on ${failed.length} of ${hosts.length} host(s), config not changed\n`));
+      emitResult(false, { ...summary, error: `Key setup failed on ${failed.length} of ${hosts.length} host(s)` });
+      process.exit(1);
+    }
+    
+    if (options.saveConfig === false) {
+      console.log(chalk.green('\n🎉 Key setup completed!\n'));
+      emitResult(true, summary);
+      return;
+    }
+    const configPath = config.configFile;
+    if (!configPath || getConfigFormat(configPath) === 'js') {
+      console.log(chalk.green('\n🎉 Key setup completed!'));
+      console.log(chalk.gray(configPath
+        ? `   ${path.basename(configPath)} is not changed automatically, set connection.privateKeyPath to ${tildify(keyPath)}\n`
+        : `   No config file to update, use: -k ${tildify(keyPath)}\n`));
+      emitResult(true, summary);
+      return;
+    }
+    
+    const notes = updateConfig(configPath, options.target, keyPath);
+    const what = options.target ? `target "${options.target}" in ${path.basename(configPath)}` : path.basename(configPath);
+    console.log(chalk.green(`\n✅ Updated ${what}:`));
+    notes.forEach(note => console.log(chalk.gray(`   • ${note}`)));
+    console.log(chalk.green('\n🎉 Key setup completed!\n'));
+    emitResult(true, { ...summary, configUpdated: true, configFile: configPath, changes: notes });
+  
+  } catch (error) {
+    spinner.fail('Key setup failed');
+    console.log(chalk.red(`\n❌ Error: ${error.message}\n`));
+    emitResult(false, { error: error.message });
+    process.exit(1);
+  }
+}
+
+module.exports = { setupKeyCommand };
@@ -0,0 +1,65 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const { loadConfig, mergeWithCliOptions, validateConfig, getPrimaryHost } = require('../utils/config');
+const { SSHDeployer } = require('../utils/sshDeployer');
+const { pauseDuringPrompts } = require('../utils/prompt');
+const { emitResult } = require('../utils/output');
+
+/**
+ * Shell command handler - opens an interactive shell in the target directory
+ * @param {object} options - CLI options
+ */
+async function shellCommand(options) {
+  const spinner = ora();
+  pauseDuringPrompts(spinner);
+  const deployer = new SSHDeployer();
+  
+  console.log(chalk.cyan('\n🐚 LitAI-Spex Shell\n'));
+  
+  if (!process.stdin.isTTY) {
+    console.log(chalk.red('❌ Error: shell needs an interactive terminal'));
+    console.log(chalk.gray('   Use litai-spex exec "<command>" to run commands from scripts.\n'));
+    emitResult(false, { error: 'Not a terminal' });
+    process.exit(1);
+  }
+  
+  try {
+    const config = mergeWithCliOptions(loadConfig(options.config, options.target), options);
+    
+    const validation = validateConfig(config, { targetDirectory: false });
+    if (!validation.isValid) {
+      console.log(chalk.red('❌ Missing required configuration:'));
+      validation.missing.forEach(field => {
+        console.log(chalk.yellow(`   • ${field}`));
+      });
+      console.log('');
+      emitResult(false, { error: 'Missing required configuration', missing: validation.missing });
+      process.exit(1);
+    }
+    
+    const host = getPrimaryHost(config);
+    const directory = config.connection.targetDirectory;
+    
+    spinner.start(`Connecting to ${host}...`);
+    await deployer.connect({ ...config.connection, host });
+    spinner.succeed(`Connected to ${host}${directory ? `, opening a shell in ${directory}` : ''}`);
+    console.log(chalk.gray('   Type exit or press Ctrl-D to close the session.\n'));
+    
+    const result = await deployer.openShell(directory);
+    deployer.disconnect();
+    
+    const exitCode = result.code ?? 1;
+    console.log(chalk.gray(`\nConnection to ${host} closed.`));
+    emitResult(exitCode === 0, { host, directory: directory || null, ...result });
+    process.exit(exitCode);
+  
+  } catch (error) {
+    spinner.fail('Shell failed');
+    console.log(chalk.red(`\n❌ Error: ${error.message}\n`));
+    emitResult(false, { error: error.message });
+    deployer.disconnect();
+    process.exit(1);
+  }
+}
+
+module.exports = { shellCommand };
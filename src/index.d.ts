@@ -0,0 +1,369 @@
+// Type declarations for the programmatic API (src/index.js).
+// The options and results mirror the JSDoc typedefs in src/api/.
+
+import { EventEmitter } from 'events';
+
+/** Output target; the CLI passes one that prints, the default is silent */
+export interface Reporter {
+  spinner: {
+    start(text?: string): unknown;
+    succeed(text?: string): unknown;
+    info(text?: string): unknown;
+    warn(text?: string): unknown;
+    fail(text?: string): unknown;
+  };
+  log(...args: unknown[]): void;
+  progress: boolean;
+}
+
+/** Options shared by the commands that connect to a server */
+export interface ConnectionOptions {
+  /** Path to config file (default: found in this or a parent directory) */
+  config?: string;
+  /** Named target from the "targets" section of the config */
+  target?: string;
+  /** Server IP/hostname */
+  ip?: string;
+  /** SSH username */
+  user?: string;
+  /** SSH password */
+  password?: string;
+  /** Path to private key file */
+  key?: string;
+  /** SSH port */
+  port?: number;
+  /** Jump host, e.g. user@bastion:2222 */
+  jump?: string;
+  /** Trust host keys seen for the first time */
+  acceptNewHostKey?: boolean;
+  /** Ask for unknown host keys and key passphrases (default: false) */
+  interactive?: boolean;
+}
+
+export interface DeployOptions extends ConnectionOptions {
+  /** Hosts to deploy to in parallel (array or comma-separated) */
+  hosts?: string | string[];
+  /** Target directory on the remote server */
+  directory?: string;
+  /** Run the afterDeploy script, or this script */
+  run?: boolean | string;
+  /** Script and hook timeout in seconds */
+  scriptTimeout?: number;
+  /** Do not fail when the script exits with a non-zero code */
+  allowScriptFailure?: boolean;
+  /** Upload all files, ignoring the remote manifest */
+  full?: boolean;
+  /** Delete remote files that no longer exist locally */
+  delete?: boolean;
+  /** Local directory to deploy (default: the current directory) */
+  source?: string;
+  /** Only report what would be deployed (a "plan" event per host) */
+  dryRun?: boolean;
+  /** With dryRun, connect and compare with the remote */
+  compare?: boolean;
+  /** Upload into a new release directory and switch the current symlink */
+  release?: boolean;
+  /** Number of releases to keep */
+  keepReleases?: number;
+  /** Number of parallel file transfers */
+  concurrency?: number;
+  /** Upload files as a single tar.gz archive */
+  archive?: boolean;
+  /** Maximum number of hosts deployed at once */
+  parallel?: number;
+  /** Stop starting new hosts after the first failure */
+  failFast?: boolean;
+  /** Deploy in batches of this many hosts */
+  rolling?: number;
+  /** Receives "start", "files", "progress", "host" and the other deploy events */
+  events?: EventEmitter;
+}
+
+export interface HostResult {
+  host: string;
+  status: 'success' | 'failed' | 'skipped';
+  durationMs?: number;
+  filesUploaded?: number;
+  filesDeleted?: number;
+  scriptCode?: number | null;
+  error?: string;
+}
+
+export interface DeployResult {
+  /** Named target */
+  target: string | null;
+  /** Created release in release mode */
+  releaseId: string | null;
+  /** Whether it was a dry run */
+  dryRun: boolean;
+  /** Number of local files */
+  files: number;
+  /** Per-host results in host order */
+  hosts: HostResult[];
+}
+
+export interface WatchOptions extends DeployOptions {
+  /** Milliseconds to wait after the last change before syncing (default: 300) */
+  debounce?: number;
+  /** Remote command run after every sync (default: the onChange hook) */
+  onChange?: string;
+}
+
+export interface Watcher {
+  /** Result of the initial deploy */
+  result: DeployResult;
+  /** Stop watching and disconnect */
+  close(): Promise<void>;
+}
+
+export interface ScanOptions {
+  /** Subnet to scan, e.g. "192.168.1" (default: the local subnet) */
+  mask?: string;
+  /** SSH username to test */
+  user?: string;
+  /** SSH password to test */
+  password?: string;
+  /** Private key file to test */
+  key?: string;
+  /** SSH port (default: 22) */
+  port?: number;
+  /** Port check timeout in ms (default: 200) */
+  timeout?: number;
+  /** Number of parallel port checks (default: 1) */
+  threads?: number;
+  /** Trust host keys seen for the first time */
+  acceptNewHostKey?: boolean;
+  /** Path to config file, for credentials (default: found in this or a parent directory) */
+  config?: string;
+  /** Use the credentials of this named target, if it exists */
+  target?: string;
+  /** Ask for unknown host keys and key passphrases (default: false) */
+  interactive?: boolean;
+  /** Receives "progress" and a "host" event per SSH server found */
+  events?: EventEmitter;
+}
+
+export interface ScanResult {
+  /** Local IP address */
+  localIP: string;
+  /** Scanned subnet, e.g. "192.168.1.*" */
+  subnet: string;
+  /** Scanned port */
+  port: number;
+  /** Found hosts */
+  hosts: Array<{
+    host: string;
+    port: number;
+    hostKey?: { type: string; fingerprint: string; status: string };
+    status: string;
+    error?: string;
+  }>;
+}
+
+export interface PingOptions {
+  /** SSH username; without it only the port is checked */
+  user?: string;
+  /** SSH password */
+  password?: string;
+  /** Path to private key file */
+  key?: string;
+  /** SSH port (default: 22 or Port from ~/.ssh/config) */
+  port?: number;
+  /** Jump host, e.g. user@bastion:2222 */
+  jump?: string;
+  /** Timeout in ms (default: 5000) */
+  timeout?: number;
+  /** Trust host keys seen for the first time */
+  acceptNewHostKey?: boolean;
+  /** Path to config file, for port, key and jump host (default: found in this or a parent directory) */
+  config?: string;
+  /** Ask for unknown host keys and key passphrases (default: false) */
+  interactive?: boolean;
+}
+
+export interface PingResult {
+  /** Host as given */
+  host: string;
+  /** Address from ~/.ssh/config, or the host */
+  address: string;
+  /** SSH port */
+  port: number;
+  /** Jump host used */
+  jumpHost: string | null;
+  /** Whether the port was open (null when going through a jump host) */
+  portOpen: boolean | null;
+  /** Port check duration */
+  portCheckMs: number | null;
+  /** Authentication test */
+  auth: {
+    username: string;
+    status: 'authenticated' | 'failed' | 'error';
+    error?: string;
+    durationMs?: number;
+  } | null;
+}
+
+export interface CreateProjectOptions {
+  /** Git repository URL (default: project.repositoryUrl from the config) */
+  repo?: string;
+  /** Directory name for the cloned project */
+  name?: string;
+  /** Branch to clone */
+  branch?: string;
+  /** Create a shallow clone with this depth */
+  depth?: number | string;
+  /** Run npm install in the cloned project */
+  install?: boolean;
+  /** Path to config file (default: found in this or a parent directory) */
+  config?: string;
+}
+
+export interface CreateProjectResult {
+  /** Cloned repository URL */
+  repository: string;
+  /** Cloned branch */
+  branch: string | null;
+  /** Absolute path of the cloned project */
+  path: string;
+  /** Directory name of the cloned project */
+  directory: string;
+  /** Whether the project has a package.json */
+  hasPackageJson: boolean;
+  /** Whether npm install ran successfully */
+  installed: boolean;
+}
+
+export interface PullOptions extends ConnectionOptions {
+  /** Only pull files matching these gitignore-style globs */
+  include?: string | string[];
+  /** Also leave out files matching these globs */
+  exclude?: string | string[];
+  /** Do not apply the deploy exclusion rules */
+  all?: boolean;
+  /** Only pull files that are newer than the local copy */
+  newer?: boolean;
+  /** Number of parallel file transfers */
+  concurrency?: number;
+  /** Receives "connected", "progress" and "download" events */
+  events?: EventEmitter;
+}
+
+export interface PullResult {
+  /** Host the files were pulled from */
+  host: string;
+  /** Resolved remote path */
+  remotePath: string;
+  /** Local file or directory written to */
+  localPath: string;
+  /** Downloaded files, relative to the remote directory */
+  files: string[];
+  /** Downloaded bytes */
+  bytes: number;
+  /** Files skipped because the local copy is not older (with newer) */
+  upToDate: number;
+}
+
+export interface ExecOptions extends ConnectionOptions {
+  /** Directory to run the command in (default: the target directory) */
+  directory?: string;
+  /** Stop the command after this many seconds */
+  timeout?: number;
+  /** Called with each line the command writes to stdout */
+  onStdout?: (line: string) => void;
+  /** Called with each line the command writes to stderr */
+  onStderr?: (line: string) => void;
+  /** Receives "connected" and "output" events */
+  events?: EventEmitter;
+}
+
+export interface ExecResult {
+  /** Host the command ran on */
+  host: string;
+  /** The command */
+  remoteCommand: string;
+  /** Directory it ran in (null: the login directory) */
+  directory: string | null;
+  /** Exit code of the command (null when it was killed by a signal) */
+  code: number | null;
+  /** Signal that ended the command */
+  signal: string | null;
+  /** Whether it was stopped after the timeout */
+  timedOut: boolean;
+  /** Whether it was interrupted with Ctrl-C */
+  interrupted: boolean;
+  /** Exit code for the CLI: the command's code, 124 on timeout, 130 when interrupted */
+  exitCode: number;
+}
+
+export interface CommandResult {
+  code: number | null;
+  signal: string | null;
+  timedOut: boolean;
+  interrupted: boolean;
+}
+
+/** Connection configuration, as in the "connection" section of the config */
+export interface ConnectionConfig {
+  host: string;
+  port?: number;
+  username?: string;
+  password?: string;
+  privateKeyPath?: string;
+  passphrase?: string;
+  jumpHost?: string;
+  agent?: string | false;
+  useSSHConfig?: boolean;
+  knownHostsFile?: string;
+  acceptNewHostKey?: boolean;
+  interactive?: boolean;
+  readyTimeout?: number;
+}
+
+export interface StreamOptions {
+  onStdout?: (line: string) => void;
+  onStderr?: (line: string) => void;
+  /** Stop the command after this many seconds */
+  timeout?: number;
+  /** Data written to the command's stdin */
+  stdin?: string;
+}
+
+export type TransferProgress = (completed: number, total: number, file: string, bytes: { bytes: number; totalBytes: number }) => void;
+
+/** SSH/SFTP client used by all commands */
+export class SSHDeployer {
+  connected: boolean;
+  connect(connectionConfig: ConnectionConfig): Promise<void>;
+  disconnect(): void;
+  createDirectories(baseDir: string, directories: string[], onProgress?: (directory: string) => void): Promise<void>;
+  uploadFiles(baseDir: string, files: Array<{ local: string; remote: string }>, onProgress?: TransferProgress, options?: { concurrency?: number }): Promise<void>;
+  uploadArchive(baseDir: string, archivePath: string): Promise<void>;
+  hasCommand(command: string): Promise<boolean>;
+  installPublicKey(publicKey: string): Promise<boolean>;
+  streamCommand(command: string, options?: StreamOptions): Promise<CommandResult>;
+  executeScript(baseDir: string, scriptName: string, options?: StreamOptions): Promise<CommandResult>;
+  openShell(directory?: string): Promise<{ code: number | null; signal: string | null }>;
+  listFiles(baseDir: string, skipDirectories?: string[]): Promise<string[]>;
+  statRemote(remotePath: string): Promise<{ isDirectory: boolean; size: number; mtime: number } | null>;
+  listRemoteFiles(baseDir: string, skip?: (relativePath: string, isDirectory: boolean) => boolean): Promise<Array<{ remote: string; size: number; mtime: number }>>;
+  downloadFiles(baseDir: string, files: Array<{ remote: string; local: string; size: number; mtime: number }>, onProgress?: TransferProgress, options?: { concurrency?: number }): Promise<void>;
+  deleteFiles(baseDir: string, files: string[], onProgress?: (deleted: number, total: number) => void): Promise<void>;
+  readManifest(baseDir: string): Promise<object | null>;
+  writeManifest(baseDir: string, manifest: object): Promise<void>;
+  prepareRelease(baseDir: string, releaseId: string): Promise<string>;
+  activateRelease(baseDir: string, releaseId: string): Promise<void>;
+  listReleases(baseDir: string): Promise<string[]>;
+  getCurrentRelease(baseDir: string): Promise<string | null>;
+  removeReleases(baseDir: string, releases: string[]): Promise<void>;
+  directoryExists(dir: string): Promise<boolean>;
+  getServerInfo(): Promise<{ hostname: string; os: string; uptime: string }>;
+}
+
+/** With connections, successful hosts stay connected and are added to the map; the caller disconnects them */
+export function deploy(options?: DeployOptions, reporter?: Reporter, connections?: Map<string, SSHDeployer>): Promise<DeployResult>;
+export function watch(options?: WatchOptions, reporter?: Reporter): Promise<Watcher>;
+export function scan(options?: ScanOptions, reporter?: Reporter): Promise<ScanResult>;
+export function ping(host: string, options?: PingOptions, reporter?: Reporter): Promise<PingResult>;
+export function createProject(options?: CreateProjectOptions, reporter?: Reporter): Promise<CreateProjectResult>;
+export function pull(remotePath: string, localPath?: string, options?: PullOptions, reporter?: Reporter): Promise<PullResult>;
+export function exec(command: string, options?: ExecOptions, reporter?: Reporter): Promise<ExecResult>;
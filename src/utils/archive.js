@@ -0,0 +1,43 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tar = require('tar');
+
+/**
+ * Pack files into a gzip-compressed tarball in the system temp directory
+ * @param {string} sourceDir - Local directory the file paths are relative to
+ * @param {Array<{local: string, remote: string}>} files - File mappings
+ * @returns {Promise<string>} Path to the created archive
+ */
+async function createArchive(sourceDir, files) {
+  const archivePath = path.join(os.tmpdir(), `litai-spex-${process.pid}-${Date.now()}.tar.gz`);
+  
+  await tar.c(
+    {
+      gzip: true,
+      file: archivePath,
+      cwd: sourceDir,
+      portable: true
+    },
+    files.map(file => file.remote)
+  );
+  
+  return archivePath;
+}
+
+/**
+ * Remove a local archive, ignoring errors
+ * @param {string} archivePath - Path to archive
+ */
+function removeArchive(archivePath) {
+  try {
+    fs.unlinkSync(archivePath);
+  } catch (e) {
+    // Temp file cleanup is best effort
+  }
+}
+
+module.exports = {
+  createArchive,
+  removeArchive
+};
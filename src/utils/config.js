@@ -1,5 +1,13 @@
 const fs = require('fs');
 const path = require('path');
+const { loadEnvFiles, interpolateConfig } = require('./env');
+const { MASK, isSecretKey, registerSecret, registerConfigSecrets } = require('./secrets');
+const { DEFAULT_IDENTITY_FILES, lookupSSHHost, tildify } = require('./sshConfig');
+const { validateSchema, getSchemaAt } = require('./schema');
+const { getGlobalConfigPath, resolveConfigPath, readConfigFile, getValueAt, editConfigFile } = require('./configFile');
+const CONFIG_SCHEMA = require('../../schema/deployment-config.schema.json');
+// The user config is described in the same schema file
+const GLOBAL_CONFIG_SCHEMA = { $ref: '#/definitions/globalConfig' };
 
 const DEFAULT_CONFIG = {
   connection: {
@@ -7,16 +15,28 @@ const DEFAULT_CONFIG = {
     username: '',
     password: '',
     privateKeyPath: '',
+    passphrase: '',
+    jumpHost: '',
     targetDirectory: '/var/www/app'
   },
   deploy: {
     excludeDirectories: ['node_modules', 'logs', '.git', '.idea', '.vscode'],
     excludeFiles: ['package-lock.json', '.env.local', '.DS_Store'],
-    excludePatterns: ['*.log', '*.tmp']
+    excludePatterns: ['*.log', '*.tmp'],
+    useGitignore: false,
+    mirror: false,
+    releases: false,
+    keepReleases: 5,
+    concurrency: 4,
+    archive: false,
+    parallel: 5,
+    watchDebounce: 300
   },
   scripts: {
-    afterDeploy: 'deploy.sh'
+    afterDeploy: 'deploy.sh',
+    timeout: 0
   },
+  hooks: {},
   project: {
     repositoryUrl: '',
     targetDirectory: '.'
@@ -24,35 +44,234 @@ const DEFAULT_CONFIG = {
 };
 
 /**
- * Load configuration from file
- * @param {string} configPath - Path to config file
+ * Merge deploy settings from config layers (later layers take precedence)
+ * @param {...object} layers - Deploy sections, e.g. shared then target
+ * @returns {object} Deploy settings
+ */
+function mergeDeploy(...layers) {
+  const deploy = { ...DEFAULT_CONFIG.deploy };
+  
+  for (const layer of layers) {
+    for (const key of Object.keys(DEFAULT_CONFIG.deploy)) {
+      if (layer?.[key] !== undefined && layer?.[key] !== null) {
+        deploy[key] = layer[key];
+      }
+    }
+  }
+  
+  return deploy;
+}
+
+/**
+ * Get a credential profile from the user config
+ * @param {object} globalConfig - User config
+ * @param {string} [name] - Profile name
+ * @returns {object} Profile, or an empty object if no name is given
+ */
+function getProfile(globalConfig, name) {
+  const profiles = globalConfig.profiles || {};
+  
+  if (!name) {
+    return {};
+  }
+  if (!profiles[name]) {
+    const available = Object.keys(profiles);
+    throw new Error(
+      `Unknown profile "${name}". ` +
+      (available.length > 0 ? `Available profiles: ${available.join(', ')}` : `No profiles are defined in ${tildify(getGlobalConfigPath())}`)
+    );
+  }
+  return profiles[name];
+}
+
+/**
+ * Get the host list of the most specific config layer that chooses hosts.
+ * A layer that sets a single connection.host without hosts replaces the
+ * inherited list, so a target's host wins over shared hosts.
+ * @param {object[]} layers - Config layers, later layers take precedence
+ * @returns {string[]}
+ */
+function resolveHosts(layers) {
+  const layer = [...layers].reverse().find(item => item.hosts || item.connection?.host);
+  return layer?.hosts || [];
+}
+
+/**
+ * Resolve the effective configuration, applying a named target on top of shared settings
+ * @param {object} userConfig - Parsed config file
+ * @param {string} [targetName] - Name of entry in "targets" to use
+ * @param {object} [globalConfig] - User config with defaults and profiles
  * @returns {object} Configuration object
  */
-function loadConfig(configPath) {
-  const fullPath = path.resolve(process.cwd(), configPath);
+function resolveConfig(userConfig, targetName, globalConfig = {}) {
+  const targets = userConfig.targets || {};
+  let target = {};
+  
+  if (targetName) {
+    target = targets[targetName];
+    if (!target) {
+      const available = Object.keys(targets);
+      throw new Error(
+        `Unknown target "${targetName}". ` +
+        (available.length > 0 ? `Available targets: ${available.join(', ')}` : 'No targets are defined in the config file')
+      );
+    }
+  }
+  
+  // Later layers take precedence: user config, the project's profile, the project,
+  // the target's profile, the target
+  const layers = [
+    globalConfig,
+    getProfile(globalConfig, userConfig.profile),
+    userConfig,
+    getProfile(globalConfig, target.profile),
+    target
+  ];
+  const merge = section => Object.assign({}, DEFAULT_CONFIG[section], ...layers.map(layer => layer[section]));
+  
+  // Deep merge with defaults
+  return {
+    target: targetName || null,
+    targets,
+    profile: target.profile || userConfig.profile || null,
+    hosts: resolveHosts(layers),
+    connection: merge('connection'),
+    deploy: mergeDeploy(...layers.map(layer => layer.deploy)),
+    scripts: merge('scripts'),
+    hooks: merge('hooks'),
+    project: { ...DEFAULT_CONFIG.project, ...userConfig.project }
+  };
+}
+
+/**
+ * Check a parsed config file against the JSON Schema: unknown keys
+ * (with "did you mean" suggestions) and values of the wrong type
+ * @param {object} userConfig - Parsed config file, before ${VAR} expansion
+ * @param {object} [schema] - CONFIG_SCHEMA, or GLOBAL_CONFIG_SCHEMA for the user config
+ * @returns {{path: string, message: string}[]} Errors, empty if the config is valid
+ */
+function validateConfigSchema(userConfig, schema = CONFIG_SCHEMA) {
+  return validateSchema(userConfig, schema, CONFIG_SCHEMA);
+}
+
+/**
+ * Get the schema of a config file
+ * @param {string} fullPath - Absolute path to config file
+ * @returns {object} GLOBAL_CONFIG_SCHEMA for the user config, else CONFIG_SCHEMA
+ */
+function getConfigSchema(fullPath) {
+  return fullPath === getGlobalConfigPath() ? GLOBAL_CONFIG_SCHEMA : CONFIG_SCHEMA;
+}
+
+/**
+ * Build the error thrown for a config file that does not match the schema
+ * @param {string} configPath - Path to config file
+ * @param {{path: string, message: string}[]} errors - Schema errors
+ * @returns {Error} Error listing every problem, with the list in error.validationErrors
+ */
+function configSchemaError(configPath, errors) {
+  const file = configPath === getGlobalConfigPath()
+    ? tildify(configPath)
+    : path.relative(process.cwd(), configPath) || configPath;
+  const lines = errors.map(error => `  ${file}: ${error.path || '(root)'}: ${error.message}`);
+  const error = new Error(`Invalid config file:\n${lines.join('\n')}`);
+  error.validationErrors = errors;
+  return error;
+}
+
+/**
+ * Resolve a path from the config relative to the config file's directory
+ * @param {string} filePath - Path from the config (may start with ~)
+ * @param {string} projectDir - Directory of the config file
+ * @returns {string}
+ */
+function resolveProjectPath(filePath, projectDir) {
+  if (!filePath || filePath.startsWith('~') || path.isAbsolute(filePath)) {
+    return filePath;
+  }
+  return path.resolve(projectDir, filePath);
+}
+
+/**
+ * Load the user config. ${VAR} references are expanded from the environment and
+ * from .env/.spex.env files next to it, in the shared settings and the given
+ * profiles only, so an unused profile cannot break a project.
+ * @param {string[]} [profileNames] - Profiles the project uses
+ * @returns {object} User config, or an empty object if there is none
+ */
+function loadGlobalConfig(profileNames = []) {
+  const fullPath = getGlobalConfigPath();
   
   if (!fs.existsSync(fullPath)) {
-    return { ...DEFAULT_CONFIG };
+    return {};
   }
   
-  try {
-    const configContent = fs.readFileSync(fullPath, 'utf8');
-    const userConfig = JSON.parse(configContent);
+  const globalConfig = readConfigFile(fullPath);
+  const schemaErrors = validateConfigSchema(globalConfig, GLOBAL_CONFIG_SCHEMA);
+  if (schemaErrors.length > 0) {
+    throw configSchemaError(fullPath, schemaErrors);
+  }
+  
+  const configDir = path.dirname(fullPath);
+  const { vars } = loadEnvFiles(configDir);
+  const env = { ...vars, ...process.env };
+  const { profiles = {}, ...defaults } = globalConfig;
+  const result = { ...interpolateConfig(defaults, env), profiles: { ...profiles } };
+  
+  for (const name of profileNames) {
+    if (profiles[name]) {
+      result.profiles[name] = interpolateConfig(profiles[name], env, `profiles.${name}`);
+    }
+  }
+  
+  // Relative paths in the user config are relative to its directory
+  for (const section of [result, ...profileNames.map(name => result.profiles[name])]) {
+    for (const key of ['privateKeyPath', 'knownHostsFile']) {
+      if (section?.connection?.[key]) {
+        section.connection[key] = resolveProjectPath(section.connection[key], configDir);
+      }
+    }
+  }
+  
+  registerConfigSecrets({ ...result, profiles: profileNames.map(name => result.profiles[name]) });
+  return result;
+}
+
+/**
+ * Load configuration from file. Without a path, the config file is looked up in
+ * the current directory and its parents (see CONFIG_FILES).
+ * ${VAR} references are expanded from the environment and from .env/.spex.env
+ * files next to the config (real environment variables take precedence).
+ * @param {string} [configPath] - Path to config file
+ * @param {string} [targetName] - Name of entry in "targets" to use
+ * @returns {object} Configuration object, with configFile (null if there is none)
+ *   and projectDir (the config file's directory, which relative paths are resolved against)
+ */
+function loadConfig(configPath, targetName) {
+  const fullPath = resolveConfigPath(configPath);
+  const exists = fs.existsSync(fullPath);
+  let userConfig = {};
+  
+  if (exists) {
+    userConfig = readConfigFile(fullPath, { target: targetName || null });
     
-    // Deep merge with defaults
-    return {
-      connection: { ...DEFAULT_CONFIG.connection, ...userConfig.connection },
-      deploy: {
-        excludeDirectories: userConfig.deploy?.excludeDirectories || DEFAULT_CONFIG.deploy.excludeDirectories,
-        excludeFiles: userConfig.deploy?.excludeFiles || DEFAULT_CONFIG.deploy.excludeFiles,
-        excludePatterns: userConfig.deploy?.excludePatterns || DEFAULT_CONFIG.deploy.excludePatterns
-      },
-      scripts: { ...DEFAULT_CONFIG.scripts, ...userConfig.scripts },
-      project: { ...DEFAULT_CONFIG.project, ...userConfig.project }
-    };
-  } catch (error) {
-    throw new Error(`Failed to parse config file: ${error.message}`);
+    const schemaErrors = validateConfigSchema(userConfig);
+    if (schemaErrors.length > 0) {
+      throw configSchemaError(fullPath, schemaErrors);
+    }
+    
+    const { vars } = loadEnvFiles(path.dirname(fullPath));
+    userConfig = interpolateConfig(userConfig, { ...vars, ...process.env });
+    registerConfigSecrets(userConfig);
   }
+  
+  const profileNames = [userConfig.profile, userConfig.targets?.[targetName]?.profile].filter(Boolean);
+  const config = resolveConfig(userConfig, targetName, loadGlobalConfig(profileNames));
+  config.configFile = exists ? fullPath : null;
+  config.projectDir = path.dirname(fullPath);
+  config.connection.privateKeyPath = resolveProjectPath(config.connection.privateKeyPath, config.projectDir);
+  config.connection.knownHostsFile = resolveProjectPath(config.connection.knownHostsFile, config.projectDir);
+  return config;
 }
 
 /**
@@ -62,11 +281,26 @@ function loadConfig(configPath) {
  * @returns {object} Merged configuration
  */
 function mergeWithCliOptions(config, options) {
+  // --hosts replaces the configured host list; a single --ip deploys to that host only
+  registerSecret(options.password);
+  
+  let hosts = config.hosts || [];
+  if (options.hosts) {
+    const list = Array.isArray(options.hosts) ? options.hosts : options.hosts.split(',');
+    hosts = list.map(host => host.trim()).filter(Boolean);
+  } else if (options.ip) {
+    hosts = [];
+  }
+  
   return {
     ...config,
+    hosts,
     connection: {
       ...config.connection,
       host: options.ip || config.connection.host,
+      port: options.port || config.connection.port,
+      jumpHost: options.jump || config.connection.jumpHost,
+      acceptNewHostKey: options.acceptNewHostKey || config.connection.acceptNewHostKey,
       username: options.user || config.connection.username,
       password: options.password || config.connection.password,
       privateKeyPath: options.key || config.connection.privateKeyPath,
@@ -78,17 +312,25 @@ function mergeWithCliOptions(config, options) {
 /**
  * Validate that required connection settings are present
  * @param {object} config - Configuration object
+ * @param {object} [options] - Validation options
+ * @param {boolean} [options.targetDirectory] - Set to false when no target directory is needed
  * @returns {object} Object with isValid boolean and missing fields array
  */
-function validateConfig(config) {
+function validateConfig(config, { targetDirectory = true } = {}) {
   const missing = [];
+  const { connection } = config;
+  // Username and keys may also come from ~/.ssh/config, and ssh-agent can authenticate on its own
+  const sshHost = connection.host && connection.useSSHConfig !== false
+    ? lookupSSHHost(connection.host)
+    : { identityFiles: [] };
+  const hasIdentityFile = [...sshHost.identityFiles, ...DEFAULT_IDENTITY_FILES].some(file => fs.existsSync(file));
   
-  if (!config.connection.host) missing.push('host (use -ip or set in deployment-config.json)');
-  if (!config.connection.username) missing.push('username (use -u or set in deployment-config.json)');
-  if (!config.connection.password && !config.connection.privateKeyPath) {
-    missing.push('password or privateKeyPath (use -p/-k or set in deployment-config.json)');
+  if (!connection.host && !config.hosts?.length) missing.push('host (use -ip/--hosts or set in deployment-config.json)');
+  if (!connection.username && !sshHost.user) missing.push('username (use -u or set in deployment-config.json)');
+  if (!connection.password && !connection.privateKeyPath && !connection.agent && !process.env.SSH_AUTH_SOCK && !hasIdentityFile) {
+    missing.push('password or privateKeyPath (use -p/-k, set in deployment-config.json or start ssh-agent)');
   }
-  if (!config.connection.targetDirectory) missing.push('targetDirectory (use -dir or set in deployment-config.json)');
+  if (targetDirectory && !connection.targetDirectory) missing.push('targetDirectory (use -dir or set in deployment-config.json)');
   
   return {
     isValid: missing.length === 0,
@@ -96,6 +338,16 @@ function validateConfig(config) {
   };
 }
 
+/**
+ * Get the host a single-host command (pull, exec, shell) connects to:
+ * the first of the configured hosts, or the connection host
+ * @param {object} config - Merged configuration
+ * @returns {string}
+ */
+function getPrimaryHost(config) {
+  return config.hosts?.length > 0 ? config.hosts[0] : config.connection.host;
+}
+
 /**
  * Create default config file
  * @param {string} configPath - Path to create config file
@@ -106,10 +358,247 @@ function createDefaultConfig(configPath) {
   return fullPath;
 }
 
+// Settings that CLI options override in mergeWithCliOptions, with the option name
+const CLI_OPTION_KEYS = {
+  hosts: 'hosts',
+  'connection.host': 'ip',
+  'connection.port': 'port',
+  'connection.jumpHost': 'jump',
+  'connection.acceptNewHostKey': 'acceptNewHostKey',
+  'connection.username': 'user',
+  'connection.password': 'password',
+  'connection.privateKeyPath': 'key',
+  'connection.targetDirectory': 'directory'
+};
+
+/**
+ * Split a dotted key path such as "deploy.excludeFiles"
+ * @param {string} keyPath - Key path
+ * @param {string} [targetName] - Resolve the path inside this entry of "targets"
+ * @returns {string[]} Keys
+ */
+function parseKeyPath(keyPath, targetName) {
+  const keys = String(keyPath || '').split('.');
+  if (keys.some(key => !key)) {
+    throw new Error(`Invalid key path "${keyPath}", expected something like connection.host`);
+  }
+  return targetName ? ['targets', targetName, ...keys] : keys;
+}
+
+/**
+ * Get a value as it is written in the config file
+ * @param {string} [configPath] - Path to config file (default: the discovered one)
+ * @param {string} keyPath - Dotted key path, e.g. connection.host
+ * @param {string} [targetName] - Read from this entry of "targets"
+ * @returns {*} Value, or undefined if it is not set
+ */
+function getConfigValue(configPath, keyPath, targetName) {
+  const config = readConfigFile(resolveConfigPath(configPath), { target: targetName || null });
+  return getValueAt(config, parseKeyPath(keyPath, targetName));
+}
+
+/**
+ * Convert a value typed on the command line to what the schema expects at a key path:
+ * JSON for numbers, booleans and arrays, comma-separated lists for string arrays,
+ * and the text as it is for strings
+ * @param {string} keyPath - Dotted key path
+ * @param {string} text - Value as typed
+ * @param {string} [targetName] - Key path is inside this entry of "targets"
+ * @param {string} [configPath] - Config file the value is for (default: the discovered one)
+ * @returns {*} Parsed value
+ */
+function parseConfigValue(keyPath, text, targetName, configPath) {
+  const schema = getSchemaAt(CONFIG_SCHEMA, parseKeyPath(keyPath, targetName), getConfigSchema(resolveConfigPath(configPath)));
+  const candidates = [];
+  
+  try {
+    candidates.push(JSON.parse(text));
+  } catch (error) {
+    // Not JSON, so a plain string or a list
+  }
+  candidates.push(text);
+  if (schema) {
+    candidates.push(text.split(',').map(item => item.trim()).filter(Boolean));
+  }
+  
+  if (!schema) {
+    return candidates[0];
+  }
+  return candidates.find(candidate => validateSchema(candidate, schema, CONFIG_SCHEMA).length === 0) ?? candidates[0];
+}
+
+/**
+ * Check an edited config, keeping only the errors caused by the edited key
+ * @param {object} config - Edited config
+ * @param {string[]} keys - Edited key path
+ * @param {string} configPath - Absolute path to config file
+ */
+function assertValidEdit(config, keys, configPath) {
+  const keyPath = keys.join('.');
+  const errors = validateConfigSchema(config, getConfigSchema(configPath)).filter(error =>
+    error.path === keyPath || keyPath.startsWith(`${error.path}.`) || error.path.startsWith(keyPath)
+  );
+  if (errors.length > 0) {
+    throw configSchemaError(configPath, errors);
+  }
+}
+
+/**
+ * Set a value in the config file, creating the file and missing sections.
+ * Other settings (and comments in YAML files) are kept as they are.
+ * @param {string} [configPath] - Path to config file (default: the discovered one)
+ * @param {string} keyPath - Dotted key path, e.g. connection.host
+ * @param {*} value - Value to store
+ * @param {string} [targetName] - Set it in this entry of "targets"
+ */
+function setConfigValue(configPath, keyPath, value, targetName) {
+  const fullPath = resolveConfigPath(configPath);
+  const keys = parseKeyPath(keyPath, targetName);
+  
+  editConfigFile(fullPath, (editor) => {
+    // A value in the way of a section is replaced by the section
+    for (let depth = 1; depth < keys.length; depth++) {
+      const node = editor.get(keys.slice(0, depth));
+      if (node !== undefined && (node === null || typeof node !== 'object' || Array.isArray(node))) {
+        editor.delete(keys.slice(0, depth));
+      }
+    }
+    editor.set(keys, value);
+    assertValidEdit(editor.toJS(), keys, fullPath);
+  });
+}
+
+/**
+ * Remove a value from the config file. Sections left empty by the removal are
+ * removed too, except the entry of a target or profile, which stays selectable.
+ * @param {string} [configPath] - Path to config file (default: the discovered one)
+ * @param {string} keyPath - Dotted key path, e.g. connection.password
+ * @param {string} [targetName] - Remove it from this entry of "targets"
+ * @returns {boolean} True if the value was set and has been removed
+ */
+function unsetConfigValue(configPath, keyPath, targetName) {
+  const fullPath = resolveConfigPath(configPath);
+  const keys = parseKeyPath(keyPath, targetName);
+  let removed = false;
+  
+  if (!fs.existsSync(fullPath)) {
+    return false;
+  }
+  
+  editConfigFile(fullPath, (editor) => {
+    if (editor.get(keys) === undefined) {
+      return false;
+    }
+    
+    editor.delete(keys);
+    const minDepth = ['targets', 'profiles'].includes(keys[0]) ? 3 : 1;
+    for (let depth = keys.length - 1; depth >= minDepth; depth--) {
+      const section = editor.get(keys.slice(0, depth));
+      if (!section || typeof section !== 'object' || Array.isArray(section) || Object.keys(section).length > 0) {
+        break;
+      }
+      editor.delete(keys.slice(0, depth));
+    }
+    removed = true;
+  });
+  
+  return removed;
+}
+
+/**
+ * Work out the effective configuration (defaults, user config and profiles, config file,
+ * target, ${VAR} expansion and CLI options) and where each value came from
+ * @param {string} [configPath] - Path to config file (default: the discovered one)
+ * @param {string} [targetName] - Named target to apply
+ * @param {object} [options] - CLI options, as passed to mergeWithCliOptions
+ * @returns {{config: object, entries: {path: string, value: *, source: string}[]}}
+ *   Effective config and one entry per setting, with secrets masked
+ */
+function explainConfig(configPath, targetName, options = {}) {
+  const fullPath = resolveConfigPath(configPath);
+  const file = path.relative(process.cwd(), fullPath) || fullPath;
+  const raw = readConfigFile(fullPath, { target: targetName || null });
+  const { sources: envSources } = loadEnvFiles(path.dirname(fullPath));
+  const globalPath = getGlobalConfigPath();
+  const globalFile = tildify(globalPath);
+  const globalRaw = readConfigFile(globalPath);
+  const { sources: globalEnvSources } = loadEnvFiles(path.dirname(globalPath));
+  const fromFile = loadConfig(configPath, targetName);
+  const config = mergeWithCliOptions(fromFile, options);
+  const targetProfile = targetName ? raw.targets?.[targetName]?.profile : undefined;
+  const entries = [];
+  
+  // Where each ${VAR} reference in a config file value was read from
+  const describeReferences = (value, sources = envSources) => {
+    if (typeof value !== 'string') return [];
+    const names = [...value.matchAll(/(?<!\$)\$\{(?:env:)?([A-Za-z_][A-Za-z0-9_.]*)/g)].map(match => match[1]);
+    return names.map(name => {
+      if (process.env[name] !== undefined && process.env[name] !== '') return `\${${name}} from the environment`;
+      if (sources[name]) return `\${${name}} from ${path.basename(sources[name])}`;
+      return `\${${name}} default`;
+    });
+  };
+  
+  const walk = (value, keys) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([key, item]) => walk(item, [...keys, key]));
+      return;
+    }
+    
+    if (value === undefined) {
+      return;
+    }
+    
+    const keyPath = keys.join('.');
+    const option = CLI_OPTION_KEYS[keyPath];
+    const profileValue = name => (name ? getValueAt(globalRaw, ['profiles', name, ...keys]) : undefined);
+    // Layers that set values, most specific first
+    const layers = [
+      { value: targetName ? getValueAt(raw, ['targets', targetName, ...keys]) : undefined, file, notes: [`target "${targetName}"`] },
+      { value: profileValue(targetProfile), file: globalFile, notes: [`profile "${targetProfile}"`], sources: globalEnvSources },
+      { value: getValueAt(raw, keys), file, notes: [] },
+      { value: profileValue(raw.profile), file: globalFile, notes: [`profile "${raw.profile}"`], sources: globalEnvSources },
+      { value: getValueAt(globalRaw, keys), file: globalFile, notes: [], sources: globalEnvSources }
+    ];
+    const layer = layers.find(item => item.value !== undefined);
+    let source = 'default';
+    
+    if (option && options[option] !== undefined && JSON.stringify(value) !== JSON.stringify(getValueAt(fromFile, keys))) {
+      source = `--${option.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+    } else if (keyPath === 'hosts' && options.ip && value.length === 0 && getValueAt(fromFile, keys).length > 0) {
+      source = '--ip';
+    } else if (layer) {
+      const notes = [...layer.notes, ...describeReferences(layer.value, layer.sources)];
+      source = notes.length > 0 ? `${layer.file} (${notes.join(', ')})` : layer.file;
+    }
+    
+    const secret = isSecretKey(keys[keys.length - 1]) && value;
+    entries.push({ path: keyPath, value: secret ? MASK : value, source });
+  };
+  
+  const { target, targets, configFile, projectDir, profile, ...settings } = config;
+  walk(profile ? { profile, ...settings } : settings, []);
+  
+  return { config, entries };
+}
+
 module.exports = {
   DEFAULT_CONFIG,
+  CONFIG_SCHEMA,
+  GLOBAL_CONFIG_SCHEMA,
+  validateConfigSchema,
+  configSchemaError,
+  loadGlobalConfig,
   loadConfig,
+  resolveConfig,
   mergeWithCliOptions,
   validateConfig,
-  createDefaultConfig
+  getPrimaryHost,
+  createDefaultConfig,
+  parseKeyPath,
+  getConfigValue,
+  parseConfigValue,
+  setConfigValue,
+  unsetConfigValue,
+  explainConfig
 };
@@ -0,0 +1,258 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const YAML = require('yaml');
+
+const CONFIG_FILENAME = 'deployment-config.json';
+// Config files looked for in each directory, highest precedence first
+const CONFIG_FILES = [
+  CONFIG_FILENAME,
+  '.spexrc',
+  'spex.config.yaml',
+  'spex.config.yml',
+  'spex.config.js',
+  'package.json'
+];
+// Key holding the config inside package.json
+const PACKAGE_KEY = 'spex';
+
+/**
+ * Get the path of the user-level config, which holds shared defaults and
+ * credential profiles for all projects
+ * @returns {string} $XDG_CONFIG_HOME/litai-spex/config.json (default: ~/.config/litai-spex/config.json)
+ */
+function getGlobalConfigPath() {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'litai-spex', 'config.json');
+}
+
+/**
+ * Get the format of a config file from its name
+ * @param {string} filePath - Path to config file
+ * @returns {'json'|'yaml'|'js'|'package'}
+ */
+function getConfigFormat(filePath) {
+  const name = path.basename(filePath);
+  const ext = path.extname(name).toLowerCase();
+  
+  if (name === 'package.json') return 'package';
+  // .spexrc may be JSON or YAML; YAML reads both
+  if (name === '.spexrc' || ext === '.yaml' || ext === '.yml') return 'yaml';
+  if (ext === '.js' || ext === '.cjs') return 'js';
+  return 'json';
+}
+
+/**
+ * Check if a file holds a config (package.json only with a "spex" key)
+ * @param {string} filePath - Path to check
+ * @returns {boolean}
+ */
+function isConfigFile(filePath) {
+  if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    return false;
+  }
+  if (getConfigFormat(filePath) !== 'package') {
+    return true;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'))[PACKAGE_KEY] !== undefined;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Find the config file for a directory: the first of CONFIG_FILES in it,
+ * else in the nearest parent directory that has one
+ * @param {string} [startDir] - Directory to start in
+ * @returns {string|null} Absolute path, or null if there is none
+ */
+function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  
+  for (;;) {
+    for (const name of CONFIG_FILES) {
+      const filePath = path.join(dir, name);
+      if (isConfigFile(filePath)) {
+        return filePath;
+      }
+    }
+    
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Resolve the config file to use: the given path, the discovered file,
+ * or deployment-config.json in the current directory if there is none yet
+ * @param {string} [configPath] - Path from --config
+ * @returns {string} Absolute path
+ */
+function resolveConfigPath(configPath) {
+  if (configPath) {
+    return path.resolve(process.cwd(), configPath);
+  }
+  return findConfigFile() || path.resolve(process.cwd(), CONFIG_FILENAME);
+}
+
+/**
+ * Read a config file as it is, without defaults or ${VAR} expansion.
+ * spex.config.js may export the config or a function returning it.
+ * @param {string} fullPath - Absolute path to config file
+ * @param {object} [context] - Passed to a function exported by spex.config.js
+ * @param {string|null} [context.target] - Named target being used
+ * @returns {object} Parsed config, or an empty object if the file does not exist
+ */
+function readConfigFile(fullPath, context = {}) {
+  if (!fs.existsSync(fullPath)) {
+    return {};
+  }
+  
+  const name = path.basename(fullPath);
+  const format = getConfigFormat(fullPath);
+  let config;
+  
+  try {
+    if (format === 'js') {
+      delete require.cache[require.resolve(fullPath)];
+      let exported = require(fullPath);
+      if (exported && exported.__esModule && exported.default !== undefined) {
+        exported = exported.default;
+      }
+      config = typeof exported === 'function' ? exported({ target: null, ...context }) : exported;
+    } else {
+      const content = fs.readFileSync(fullPath, 'utf8');
+      if (format === 'yaml') {
+        config = content.trim() ? YAML.parse(content) : {};
+      } else if (format === 'package') {
+        config = JSON.parse(content)[PACKAGE_KEY];
+      } else {
+        config = JSON.parse(content);
+      }
+    }
+  } catch (error) {
+    throw new Error(`Failed to parse config file ${name}: ${error.message}`);
+  }
+  
+  if (config && typeof config.then === 'function') {
+    throw new Error(`${name} must return the config object itself, not a Promise`);
+  }
+  if (config === undefined || config === null) {
+    return {};
+  }
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${name} must contain an object with the settings`);
+  }
+  
+  return config;
+}
+
+/**
+ * Get the value at a key path of an object
+ * @param {object} object - Object to read
+ * @param {string[]} keys - Key path
+ * @returns {*} Value, or undefined if the path does not exist
+ */
+function getValueAt(object, keys) {
+  return keys.reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), object);
+}
+
+/**
+ * Create an editor for a plain config object
+ * @param {object} config - Config object, changed in place
+ * @returns {object} Editor
+ */
+function createObjectEditor(config) {
+  return {
+    get: keys => getValueAt(config, keys),
+    set: (keys, value) => {
+      let node = config;
+      for (const key of keys.slice(0, -1)) {
+        if (!node[key] || typeof node[key] !== 'object' || Array.isArray(node[key])) {
+          node[key] = {};
+        }
+        node = node[key];
+      }
+      node[keys[keys.length - 1]] = value;
+    },
+    delete: (keys) => {
+      const parent = getValueAt(config, keys.slice(0, -1));
+      if (parent && typeof parent === 'object') {
+        delete parent[keys[keys.length - 1]];
+      }
+    },
+    toJS: () => config
+  };
+}
+
+/**
+ * Change a config file in place. The edit function gets an editor with
+ * get(keys), set(keys, value), delete(keys) and toJS(); if it throws or
+ * returns false, the file is not written. YAML comments and the rest of
+ * package.json are kept.
+ * @param {string} fullPath - Absolute path to config file (created if missing)
+ * @param {Function} edit - Makes the changes
+ */
+function editConfigFile(fullPath, edit) {
+  const name = path.basename(fullPath);
+  const format = getConfigFormat(fullPath);
+  const exists = fs.existsSync(fullPath);
+  
+  if (format === 'js') {
+    throw new Error(`${name} is JavaScript and cannot be changed automatically, edit it by hand`);
+  }
+  
+  if (format === 'yaml') {
+    const doc = exists ? YAML.parseDocument(fs.readFileSync(fullPath, 'utf8')) : new YAML.Document({});
+    if (doc.errors.length > 0) {
+      throw new Error(`Failed to parse config file ${name}: ${doc.errors[0].message}`);
+    }
+    if (!doc.contents) {
+      doc.contents = doc.createNode({});
+    }
+    
+    const editor = {
+      get: keys => getValueAt(doc.toJS(), keys),
+      set: (keys, value) => doc.setIn(keys, doc.createNode(value)),
+      delete: keys => doc.deleteIn(keys),
+      toJS: () => doc.toJS() || {}
+    };
+    if (edit(editor) !== false) {
+      fs.writeFileSync(fullPath, String(doc));
+    }
+    return;
+  }
+  
+  if (format === 'package') {
+    const pkg = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+    pkg[PACKAGE_KEY] = pkg[PACKAGE_KEY] || {};
+    if (edit(createObjectEditor(pkg[PACKAGE_KEY])) !== false) {
+      fs.writeFileSync(fullPath, `${JSON.stringify(pkg, null, 2)}\n`);
+    }
+    return;
+  }
+  
+  const config = readConfigFile(fullPath);
+  if (edit(createObjectEditor(config)) !== false) {
+    // The user config may hold passwords, so only the user can read a new one
+    const isGlobal = fullPath === getGlobalConfigPath();
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true, mode: isGlobal ? 0o700 : 0o777 });
+    fs.writeFileSync(fullPath, JSON.stringify(config, null, 2), { mode: isGlobal ? 0o600 : 0o666 });
+  }
+}
+
+module.exports = {
+  CONFIG_FILENAME,
+  CONFIG_FILES,
+  getGlobalConfigPath,
+  getConfigFormat,
+  findConfigFile,
+  resolveConfigPath,
+  readConfigFile,
+  getValueAt,
+  editConfigFile
+};
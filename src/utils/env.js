@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+
+const ENV_FILES = ['.env', '.spex.env'];
+
+/**
+ * Parse the contents of a .env file
+ * @param {string} content - File contents
+ * @returns {object} Variables by name
+ */
+function parseEnvFile(content) {
+  const vars = {};
+  
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+    
+    const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.]*)\s*=\s*(.*)$/);
+    if (!match) {
+      continue;
+    }
+    
+    let value = match[2];
+    const quote = value[0];
+    if ((quote === '"' || quote === "'") && value.lastIndexOf(quote) > 0) {
+      value = value.slice(1, value.lastIndexOf(quote));
+      if (quote === '"') {
+        value = value.replace(/\\n/g, '\n').replace(/\\"/g, '"');
+      }
+    } else {
+      // Unquoted values may have a trailing comment
+      value = value.replace(/\s+#.*$/, '').trim();
+    }
+    
+    vars[match[1]] = value;
+  }
+  
+  return vars;
+}
+
+/**
+ * Load .env and .spex.env from a directory; later files override earlier ones
+ * @param {string} dir - Directory containing the config file
+ * @returns {{vars: object, files: string[], sources: object}} Loaded variables, the files
+ *   they came from, and the file that set each variable
+ */
+function loadEnvFiles(dir) {
+  const vars = {};
+  const files = [];
+  const sources = {};
+  
+  for (const filename of ENV_FILES) {
+    const filePath = path.join(dir, filename);
+    if (fs.existsSync(filePath)) {
+      const fileVars = parseEnvFile(fs.readFileSync(filePath, 'utf8'));
+      Object.assign(vars, fileVars);
+      Object.keys(fileVars).forEach(name => { sources[name] = filePath; });
+      files.push(filePath);
+    }
+  }
+  
+  return { vars, files, sources };
+}
+
+/**
+ * Expand ${VAR}, ${VAR:-default}, ${env:NAME} and ${env:NAME:-default} in a string.
+ * Use $${...} for a literal "${...}".
+ * @param {string} value - String to expand
+ * @param {object} env - Variables to expand from
+ * @param {string} keyPath - Config key path, used in error messages
+ * @returns {string} Expanded string
+ */
+function interpolateString(value, env, keyPath) {
+  return value.replace(/\$?\$\{(?:env:)?([A-Za-z_][A-Za-z0-9_.]*)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+    if (match.startsWith('$$')) {
+      return match.slice(1);
+    }
+    if (env[name] !== undefined && env[name] !== '') {
+      return env[name];
+    }
+    if (fallback !== undefined) {
+      return fallback;
+    }
+    throw new Error(`Environment variable ${name} is not set (referenced by "${keyPath}")`);
+  });
+}
+
+/**
+ * Recursively expand environment references in every string of a config object.
+ * Hooks are left as they are: they are shell commands, and the shell expands their
+ * variables when they run (including the SPEX_* variables set for hooks).
+ * @param {*} value - Config value
+ * @param {object} env - Variables to expand from
+ * @param {string} [keyPath] - Key path of value, used in error messages
+ * @returns {*} Expanded copy of value
+ */
+function interpolateConfig(value, env, keyPath = '') {
+  if (typeof value === 'string') {
+    return interpolateString(value, env, keyPath);
+  }
+  
+  if (Array.isArray(value)) {
+    return value.map((item, index) => interpolateConfig(item, env, `${keyPath}[${index}]`));
+  }
+  
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = key === 'hooks' ? item : interpolateConfig(item, env, keyPath ? `${keyPath}.${key}` : key);
+    }
+    return result;
+  }
+  
+  return value;
+}
+
+/**
+ * Set a variable in a .env file, replacing an existing line for it
+ * @param {string} filePath - Path to the .env file (created if missing)
+ * @param {string} name - Variable name
+ * @param {string} value - Value (stored single-quoted, so it is taken literally)
+ */
+function setEnvValue(filePath, name, value) {
+  const line = `${name}='${value}'`;
+  const lines = fs.existsSync(filePath)
+    ? fs.readFileSync(filePath, 'utf8').split(/\r?\n/).filter((existing, index, all) => existing || index < all.length - 1)
+    : [];
+  const index = lines.findIndex(existing => new RegExp(`^(?:export\\s+)?${name}\\s*=`).test(existing.trim()));
+  
+  if (index === -1) {
+    lines.push(line);
+  } else {
+    lines[index] = line;
+  }
+  
+  fs.writeFileSync(filePath, `${lines.join('\n')}\n`, { mode: 0o600 });
+}
+
+module.exports = {
+  ENV_FILES,
+  parseEnvFile,
+  loadEnvFiles,
+  interpolateConfig,
+  setEnvValue
+};
@@ -2,62 +2,40 @@ const fs = require('fs');
 const path = require('path');
 
 /**
- * Check if a filename matches any pattern (supports * wildcard)
- * @param {string} filename - File name to check
- * @param {string[]} patterns - Array of patterns
- * @returns {boolean}
- */
-function matchesPattern(filename, patterns) {
-  return patterns.some(pattern => {
-    if (pattern.includes('*')) {
-      const regex = new RegExp('^' + pattern.replace(/\*/g, '.*') + '$');
-      return regex.test(filename);
-    }
-    return filename === pattern;
-  });
-}
-
-/**
- * Recursively scan directory and collect files to deploy
+ * Recursively collect files under dir that are not ignored
  * @param {string} dir - Directory to scan
- * @param {object} excludeConfig - Exclusion configuration
+ * @param {IgnoreMatcher} matcher - Ignore rules
  * @param {string} baseDir - Base directory for relative paths
  * @returns {Array<{local: string, remote: string}>} Array of file mappings
  */
-function scanDirectory(dir, excludeConfig, baseDir = dir) {
-  const { excludeDirectories, excludeFiles, excludePatterns } = excludeConfig;
+function walk(dir, matcher, baseDir) {
   const files = [];
   
   const items = fs.readdirSync(dir);
   
   for (const item of items) {
     const fullPath = path.join(dir, item);
-    const relativePath = path.relative(baseDir, fullPath);
+    const relativePath = path.relative(baseDir, fullPath).replace(/\\/g, '/'); // Normalize to forward slashes for remote
     const stat = fs.statSync(fullPath);
     
     if (stat.isDirectory()) {
-      // Check if directory should be excluded
-      if (excludeDirectories.includes(item)) {
+      // Excluded directories are not descended into, so their contents cannot be re-included
+      if (matcher.ignores(relativePath, true)) {
         continue;
       }
       
       // Recursively scan subdirectory
-      const subFiles = scanDirectory(fullPath, excludeConfig, baseDir);
+      const subFiles = walk(fullPath, matcher, baseDir);
       files.push(...subFiles);
     } else {
       // Check if file should be excluded
-      if (excludeFiles.includes(item)) {
-        continue;
-      }
-      
-      // Check if file matches any exclude pattern
-      if (matchesPattern(item, excludePatterns)) {
+      if (matcher.ignores(relativePath, false)) {
         continue;
       }
       
       files.push({
         local: fullPath,
-        remote: relativePath.replace(/\\/g, '/') // Normalize to forward slashes for remote
+        remote: relativePath
       });
     }
   }
@@ -65,6 +43,32 @@ function scanDirectory(dir, excludeConfig, baseDir = dir) {
   return files;
 }
 
+/**
+ * Recursively scan directory and collect files to deploy
+ * @param {string} dir - Directory to scan
+ * @param {IgnoreMatcher} matcher - Exclusion rules of dir (see createIgnoreMatcher)
+ * @param {string} [subDirectory] - Only scan this directory below dir (paths stay relative to dir)
+ * @returns {Array<{local: string, remote: string}>} Array of file mappings
+ */
+function scanDirectory(dir, matcher, subDirectory = '') {
+  return walk(path.join(dir, subDirectory), matcher, dir);
+}
+
+/**
+ * Get remote files that no longer exist locally and should be deleted
+ * @param {string[]} remoteFiles - Remote file paths relative to target directory
+ * @param {Array<{local: string, remote: string}>} files - Local file mappings
+ * @param {IgnoreMatcher} matcher - Exclusion rules; excluded remote files are kept
+ * @returns {string[]} Remote file paths to delete
+ */
+function getFilesToDelete(remoteFiles, files, matcher) {
+  const localFiles = new Set(files.map(file => file.remote));
+  
+  return remoteFiles
+    .filter(remote => !localFiles.has(remote) && !matcher.isExcluded(remote))
+    .sort();
+}
+
 /**
  * Get all directories that need to be created on remote
  * @param {Array<{local: string, remote: string}>} files - File mappings
@@ -97,5 +101,5 @@ function getRemoteDirectories(files) {
 module.exports = {
   scanDirectory,
   getRemoteDirectories,
-  matchesPattern
+  getFilesToDelete
 };
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { shellQuote } = require('./shell');
+
+// Hooks in the order they run. beforeDeploy runs locally, the others on the server.
+// onChange runs after every sync of deploy --watch.
+const HOOK_NAMES = ['beforeDeploy', 'beforeUpload', 'afterUpload', 'afterDeploy', 'onFailure', 'onChange'];
+const LOCAL_HOOKS = ['beforeDeploy'];
+
+/**
+ * Normalize a hook from the config: a string is a script file, an array is a list of commands
+ * @param {string} name - Hook name
+ * @param {string|string[]|undefined} value - Hook value from the config
+ * @returns {{file?: string, commands?: string[]}|null} Hook, or null if not configured
+ */
+function normalizeHook(name, value) {
+  if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return null;
+  }
+  if (typeof value === 'string') {
+    return { file: value };
+  }
+  if (Array.isArray(value) && value.every(command => typeof command === 'string')) {
+    return { commands: value };
+  }
+  
+  throw new Error(`Invalid hook "${name}": expected a script file name or a list of commands`);
+}
+
+/**
+ * Describe a hook for display
+ * @param {{file?: string, commands?: string[]}} hook - Normalized hook
+ * @returns {string}
+ */
+function describeHook(hook) {
+  return hook.file || hook.commands.join(' && ');
+}
+
+/**
+ * Build the environment variables passed to every hook
+ * @param {string} name - Hook name
+ * @param {object} deploy - Deploy details
+ * @param {string|null} deploy.target - Named target
+ * @param {string} [deploy.host] - Host being deployed to
+ * @param {string} deploy.targetDirectory - Remote target directory
+ * @param {string} [deploy.deployDirectory] - Directory files are uploaded to (release directory in release mode)
+ * @param {string|null} deploy.releaseId - Release id in release mode
+ * @param {number} [deploy.changedFiles] - Number of files uploaded
+ * @param {number} [deploy.deletedFiles] - Number of remote files deleted
+ * @param {string} [deploy.error] - Error message (onFailure only)
+ * @returns {object} Environment variables
+ */
+function createHookEnv(name, deploy) {
+  const env = {
+    SPEX_HOOK: name,
+    SPEX_TARGET: deploy.target || '',
+    SPEX_HOST: deploy.host || '',
+    SPEX_TARGET_DIR: deploy.targetDirectory,
+    SPEX_DEPLOY_DIR: deploy.deployDirectory || deploy.targetDirectory,
+    SPEX_RELEASE_ID: deploy.releaseId || '',
+    SPEX_CHANGED_FILES: String(deploy.changedFiles ?? ''),
+    SPEX_DELETED_FILES: String(deploy.deletedFiles ?? '')
+  };
+  
+  if (deploy.error) {
+    env.SPEX_ERROR = deploy.error;
+  }
+  
+  return env;
+}
+
+/**
+ * Run a hook on the local machine in the project directory.
+ * Output goes straight to the terminal.
+ * @param {string} name - Hook name
+ * @param {{file?: string, commands?: string[]}} hook - Normalized hook
+ * @param {object} env - Hook environment variables
+ * @param {object} options - Options
+ * @param {string} options.cwd - Project directory
+ * @param {number} [options.timeout] - Stop the hook after this many seconds
+ */
+async function runLocalHook(name, hook, env, { cwd, timeout }) {
+  const commands = hook.file ? [`bash ${shellQuote(path.resolve(cwd, hook.file))}`] : hook.commands;
+  
+  if (hook.file && !fs.existsSync(path.resolve(cwd, hook.file))) {
+    throw new Error(`Hook "${name}" script not found: ${hook.file}`);
+  }
+  
+  for (const command of commands) {
+    const code = await new Promise((resolve, reject) => {
+      const child = spawn(command, {
+        cwd,
+        shell: true,
+        stdio: 'inherit',
+        env: { ...process.env, ...env },
+        timeout: timeout ? timeout * 1000 : undefined
+      });
+      child.on('error', reject);
+      child.on('close', (exitCode, signal) => resolve(signal ? `signal ${signal}` : exitCode));
+    });
+    
+    if (code !== 0) {
+      throw new Error(`Hook "${name}" failed (${typeof code === 'number' ? `exit code ${code}` : code}): ${command}`);
+    }
+  }
+}
+
+/**
+ * Build the shell script that runs a remote hook: exports the environment,
+ * changes to the deploy directory, then runs the script file contents or the commands.
+ * A script file is read locally, so it can run before it has been uploaded.
+ * @param {string} name - Hook name
+ * @param {{file?: string, commands?: string[]}} hook - Normalized hook
+ * @param {object} env - Hook environment variables
+ * @param {string} sourceDir - Local project directory
+ * @returns {string} Script for bash -s
+ */
+function buildRemoteHookScript(name, hook, env, sourceDir) {
+  const exports = Object.entries(env).map(([key, value]) => `export ${key}=${shellQuote(value)}`);
+  // The directory may not exist yet on the first deploy
+  const dir = shellQuote(env.SPEX_DEPLOY_DIR);
+  const header = [...exports, `mkdir -p ${dir} && cd ${dir} || exit 1`];
+  
+  if (hook.file) {
+    const filePath = path.resolve(sourceDir, hook.file);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Hook "${name}" script not found: ${hook.file}`);
+    }
+    return `${header.join('\n')}\n${fs.readFileSync(filePath, 'utf8')}\n`;
+  }
+  
+  return `${header.join('\n')}\nset -e\n${hook.commands.join('\n')}\n`;
+}
+
+/**
+ * Run a hook on the server, streaming its output
+ * @param {SSHDeployer} deployer - Connected deployer
+ * @param {string} name - Hook name
+ * @param {{file?: string, commands?: string[]}} hook - Normalized hook
+ * @param {object} env - Hook environment variables
+ * @param {object} options - Options
+ * @param {string} options.sourceDir - Local project directory
+ * @param {number} [options.timeout] - Stop the hook after this many seconds
+ * @param {Function} [options.onStdout] - Called with each stdout line
+ * @param {Function} [options.onStderr] - Called with each stderr line
+ */
+async function runRemoteHook(deployer, name, hook, env, { sourceDir, timeout, onStdout, onStderr }) {
+  const script = buildRemoteHookScript(name, hook, env, sourceDir);
+  const result = await deployer.streamCommand('bash -s', { stdin: script, timeout, onStdout, onStderr });
+  
+  if (result.timedOut) {
+    throw new Error(`Hook "${name}" timed out after ${timeout}s`);
+  }
+  if (result.interrupted) {
+    throw new Error(`Hook "${name}" was interrupted`);
+  }
+  if (result.code !== 0) {
+    throw new Error(`Hook "${name}" failed (${result.code === null ? `signal ${result.signal}` : `exit code ${result.code}`})`);
+  }
+}
+
+module.exports = {
+  HOOK_NAMES,
+  LOCAL_HOOKS,
+  normalizeHook,
+  describeHook,
+  createHookEnv,
+  runLocalHook,
+  buildRemoteHookScript,
+  runRemoteHook
+};
@@ -0,0 +1,293 @@
+const fs = require('fs');
+const path = require('path');
+
+const SPEXIGNORE_FILENAME = '.spexignore';
+const GITIGNORE_FILENAME = '.gitignore';
+// Hold secrets for config interpolation, so they are never deployed
+const SPEX_ENV_FILENAME = '.spex.env';
+const ENV_FILENAME = '.env';
+
+/**
+ * Escape a character for use in a regular expression
+ * @param {string} char - Single character
+ * @returns {string}
+ */
+function escapeRegex(char) {
+  return /[.*+?^${}()|[\]\\/]/.test(char) ? `\\${char}` : char;
+}
+
+/**
+ * Convert a gitignore glob (without leading/trailing slashes or negation) to a regex body
+ * @param {string} glob - Glob pattern
+ * @returns {string} Regular expression source
+ */
+function globToRegex(glob) {
+  let regex = '';
+  let i = 0;
+  
+  while (i < glob.length) {
+    const char = glob[i];
+    
+    if (char === '\\' && i + 1 < glob.length) {
+      regex += escapeRegex(glob[i + 1]);
+      i += 2;
+    } else if (char === '*' && glob[i + 1] === '*') {
+      const atStart = i === 0 || glob[i - 1] === '/';
+      const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+      
+      if (atStart && atEnd) {
+        // "**/" matches zero or more directories, a trailing "**" matches everything inside
+        if (i + 2 === glob.length) {
+          regex += '.*';
+          i += 2;
+        } else {
+          regex += '(?:.*/)?';
+          i += 3;
+        }
+      } else {
+        // "**" not delimited by slashes behaves like a single "*"
+        regex += '[^/]*';
+        i += 2;
+      }
+    } else if (char === '*') {
+      regex += '[^/]*';
+      i++;
+    } else if (char === '?') {
+      regex += '[^/]';
+      i++;
+    } else if (char === '[') {
+      const close = glob.indexOf(']', i + 2);
+      if (close === -1) {
+        regex += '\\[';
+        i++;
+        continue;
+      }
+      let body = glob.slice(i + 1, close);
+      if (body[0] === '!') {
+        body = `^${body.slice(1)}`;
+      } else if (body[0] === '^') {
+        body = `\\${body}`;
+      }
+      regex += `[${body.replace(/^(\^?)\]/, '$1\\]')}]`;
+      i = close + 1;
+    } else {
+      regex += escapeRegex(char);
+      i++;
+    }
+  }
+  
+  return regex;
+}
+
+/**
+ * Compile a single gitignore-style pattern into a rule
+ * @param {string} line - Pattern line
+ * @param {object} [options] - Extra restrictions
+ * @param {boolean} [options.dirOnly] - Only match directories
+ * @param {boolean} [options.fileOnly] - Only match files
+ * @param {string} [options.base] - Directory of the ignore file the pattern comes from
+ *   (relative, forward slashes); the pattern only matches below it
+ * @returns {object|null} Rule, or null for blank lines and comments
+ */
+function compileRule(line, { dirOnly = false, fileOnly = false, base = '' } = {}) {
+  let pattern = line.replace(/(?<!\\)\s+$/, '');
+  
+  if (!pattern || pattern.startsWith('#')) {
+    return null;
+  }
+  
+  let negate = false;
+  if (pattern.startsWith('!')) {
+    negate = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1);
+  }
+  
+  if (pattern.endsWith('/')) {
+    dirOnly = true;
+    pattern = pattern.replace(/\/+$/, '');
+  }
+  
+  // A slash at the start or in the middle anchors the pattern to the base directory
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+  
+  if (!pattern) {
+    return null;
+  }
+  
+  const body = globToRegex(pattern);
+  const prefix = base ? `${[...base].map(escapeRegex).join('')}/` : '';
+  
+  return {
+    pattern: line,
+    negate,
+    dirOnly,
+    fileOnly,
+    regex: new RegExp(anchored ? `^${prefix}${body}$` : `^${prefix}(?:.*/)?${body}$`)
+  };
+}
+
+/**
+ * Parse the contents of an ignore file into pattern lines
+ * @param {string} content - File contents
+ * @returns {string[]} Pattern lines
+ */
+function parseIgnoreFile(content) {
+  return content
+    .split(/\r?\n/)
+    .filter(line => line.trim() && !line.startsWith('#'));
+}
+
+/**
+ * Ordered set of gitignore-style rules; the last matching rule wins
+ */
+class IgnoreMatcher {
+  constructor() {
+    this.rules = [];
+    this.sources = [];
+  }
+  
+  /**
+   * Add patterns to the matcher
+   * @param {string[]} patterns - Pattern lines
+   * @param {object} [options] - Options passed to compileRule
+   * @returns {IgnoreMatcher} this
+   */
+  add(patterns, options) {
+    for (const pattern of patterns) {
+      const rule = compileRule(pattern, options);
+      if (rule) this.rules.push(rule);
+    }
+    return this;
+  }
+  
+  /**
+   * Check a single path against the rules, without looking at its parents
+   * @param {string} relativePath - Path relative to base directory (forward slashes)
+   * @param {boolean} isDirectory - Whether the path is a directory
+   * @returns {boolean}
+   */
+  ignores(relativePath, isDirectory) {
+    let ignored = false;
+    
+    for (const rule of this.rules) {
+      if ((rule.dirOnly && !isDirectory) || (rule.fileOnly && isDirectory)) {
+        continue;
+      }
+      if (rule.negate === ignored && rule.regex.test(relativePath)) {
+        ignored = !rule.negate;
+      }
+    }
+    
+    return ignored;
+  }
+  
+  /**
+   * Check a file path, including whether any parent directory is ignored
+   * @param {string} relativePath - File path relative to base directory (forward slashes)
+   * @returns {boolean}
+   */
+  isExcluded(relativePath) {
+    const parts = relativePath.split('/');
+    
+    for (let i = 1; i < parts.length; i++) {
+      if (this.ignores(parts.slice(0, i).join('/'), true)) {
+        return true;
+      }
+    }
+    
+    return this.ignores(relativePath, false);
+  }
+}
+
+/**
+ * Add the ignore files of a directory to the matcher, then those of its subdirectories
+ * that are not ignored, so rules of deeper files come later and take precedence
+ * @param {IgnoreMatcher} matcher - Matcher to add to
+ * @param {string} baseDir - Local project directory
+ * @param {string[]} filenames - Ignore file names, in the order they apply
+ * @param {string} [relativeDir] - Directory relative to baseDir ('' for baseDir itself)
+ */
+function addIgnoreFiles(matcher, baseDir, filenames, relativeDir = '') {
+  const dir = path.join(baseDir, relativeDir);
+  
+  for (const filename of filenames) {
+    const filePath = path.join(dir, filename);
+    if (fs.existsSync(filePath)) {
+      matcher.add(parseIgnoreFile(fs.readFileSync(filePath, 'utf8')), { base: relativeDir });
+      matcher.sources.push(relativeDir ? `${relativeDir}/${filename}` : filename);
+    }
+  }
+  
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    return;
+  }
+  for (const entry of entries) {
+    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+    if (entry.isDirectory() && !matcher.ignores(relativePath, true)) {
+      addIgnoreFiles(matcher, baseDir, filenames, relativePath);
+    }
+  }
+}
+
+/**
+ * Get the anchored rules for files that are never deployed: .spex.env, .env and the
+ * config file when it is inside baseDir (except package.json, which the project needs)
+ * @param {string} baseDir - Local project directory
+ * @param {string|null} [configFile] - Full path of the loaded config file
+ * @returns {string[]} Patterns
+ */
+function getSecretFileRules(baseDir, configFile) {
+  const rules = [`/${SPEX_ENV_FILENAME}`, `/${ENV_FILENAME}`];
+  
+  if (configFile && path.basename(configFile) !== 'package.json') {
+    const relative = path.relative(baseDir, configFile);
+    
+    if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+      const escaped = relative.split(path.sep).join('/').replace(/[\\*?[\s]/g, '\\$&');
+      rules.push(`/${escaped}`);
+    }
+  }
+  
+  return rules;
+}
+
+/**
+ * Build a matcher from the deploy exclusion config and ignore files in baseDir.
+ * Rules are applied in order: excludeDirectories, excludeFiles, excludePatterns, then
+ * .gitignore (when useGitignore is set) and .spexignore of each directory, as in git relative
+ * to their directory, and those of excluded directories are not read. .spex.env, .env and
+ * the config file are excluded last.
+ * @param {object} excludeConfig - Exclusion configuration
+ * @param {string} baseDir - Local project directory
+ * @param {string|null} [configFile] - Full path of the loaded config file
+ * @returns {IgnoreMatcher}
+ */
+function createIgnoreMatcher(excludeConfig, baseDir, configFile = null) {
+  const matcher = new IgnoreMatcher()
+    .add(excludeConfig.excludeDirectories || [], { dirOnly: true })
+    .add(excludeConfig.excludeFiles || [], { fileOnly: true })
+    .add(excludeConfig.excludePatterns || []);
+  
+  const ignoreFiles = excludeConfig.useGitignore
+    ? [GITIGNORE_FILENAME, SPEXIGNORE_FILENAME]
+    : [SPEXIGNORE_FILENAME];
+  
+  addIgnoreFiles(matcher, baseDir, ignoreFiles);
+  
+  // Added last, so no negation can re-include them
+  return matcher.add(getSecretFileRules(baseDir, configFile), { fileOnly: true });
+}
+
+module.exports = {
+  SPEXIGNORE_FILENAME,
+  IgnoreMatcher,
+  compileRule,
+  parseIgnoreFile,
+  createIgnoreMatcher
+};
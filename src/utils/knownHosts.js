@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Client } = require('ssh2');
+const { expandHome, matchesHostPatterns } = require('./sshConfig');
+const { confirm } = require('./prompt');
+
+const DEFAULT_KNOWN_HOSTS_PATH = path.join(os.homedir(), '.ssh', 'known_hosts');
+
+/**
+ * Get the algorithm name stored at the start of an SSH public key blob
+ * @param {Buffer} key - Public key blob
+ * @returns {string} Key type, e.g. "ssh-ed25519"
+ */
+function getKeyType(key) {
+  const length = key.readUInt32BE(0);
+  return key.toString('ascii', 4, 4 + length);
+}
+
+/**
+ * Get the OpenSSH-style SHA256 fingerprint of a public key
+ * @param {Buffer} key - Public key blob
+ * @returns {string} Fingerprint, e.g. "SHA256:nThbg6kXUpJWGl7E1IGOCspRomTxdCARLviKw6E5SY8"
+ */
+function getFingerprint(key) {
+  return `SHA256:${crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '')}`;
+}
+
+/**
+ * Format a host the way known_hosts stores it ("[host]:port" for non-standard ports)
+ * @param {string} host - Host name or IP
+ * @param {number} [port] - SSH port
+ * @returns {string}
+ */
+function formatHost(host, port) {
+  return port && port !== 22 ? `[${host}]:${port}` : host;
+}
+
+/**
+ * Check if the host field of a known_hosts line matches a host (plain, wildcard or hashed entries)
+ * @param {string} field - Comma-separated host field
+ * @param {string} host - Host as formatted by formatHost
+ * @returns {boolean}
+ */
+function matchesHostField(field, host) {
+  const patterns = field.split(',');
+  
+  for (const pattern of patterns) {
+    if (!pattern.startsWith('|1|')) {
+      continue;
+    }
+    const [salt, hash] = pattern.slice(3).split('|');
+    const digest = crypto.createHmac('sha1', Buffer.from(salt, 'base64')).update(host).digest('base64');
+    if (digest === hash) {
+      return true;
+    }
+  }
+  
+  return matchesHostPatterns(host, patterns.filter(pattern => !pattern.startsWith('|1|')));
+}
+
+/**
+ * Parse a known_hosts file. Marker lines (@cert-authority, @revoked) are skipped.
+ * @param {string} content - File contents
+ * @returns {Array<{hosts: string, type: string, key: string, line: number}>} Entries
+ */
+function parseKnownHosts(content) {
+  const entries = [];
+  
+  content.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#') || line.startsWith('@')) {
+      return;
+    }
+    
+    const [hosts, type, key] = line.split(/\s+/);
+    if (hosts && type && key) {
+      entries.push({ hosts, type, key, line: index + 1 });
+    }
+  });
+  
+  return entries;
+}
+
+/**
+ * Get the known_hosts files to check, project-local file first
+ * @param {object} connection - Connection configuration
+ * @returns {{files: string[], saveTo: string}} Files to read and the file new keys are added to
+ */
+function getKnownHostsFiles(connection = {}) {
+  if (connection.knownHostsFile) {
+    const projectFile = path.resolve(process.cwd(), expandHome(connection.knownHostsFile));
+    return { files: [projectFile, DEFAULT_KNOWN_HOSTS_PATH], saveTo: projectFile };
+  }
+  
+  return { files: [DEFAULT_KNOWN_HOSTS_PATH], saveTo: DEFAULT_KNOWN_HOSTS_PATH };
+}
+
+/**
+ * Look up a server key in known_hosts files.
+ * A key is "changed" when the host has an entry of the same type with a different key.
+ * @param {string} host - Host name or IP
+ * @param {number} port - SSH port
+ * @param {Buffer} key - Public key blob sent by the server
+ * @param {string[]} files - known_hosts files to check
+ * @returns {object} { status: 'known'|'changed'|'unknown', host, type, fingerprint, expected?, file?, line? }
+ */
+function checkHostKey(host, port, key, files) {
+  const result = {
+    status: 'unknown',
+    host: formatHost(host, port),
+    type: getKeyType(key),
+    fingerprint: getFingerprint(key)
+  };
+  const encoded = key.toString('base64');
+  
+  for (const file of files) {
+    if (!fs.existsSync(file)) {
+      continue;
+    }
+    
+    for (const entry of parseKnownHosts(fs.readFileSync(file, 'utf8'))) {
+      if (entry.type !== result.type || !matchesHostField(entry.hosts, result.host)) {
+        continue;
+      }
+      if (entry.key === encoded) {
+        return { ...result, status: 'known', file, line: entry.line };
+      }
+      if (result.status === 'unknown') {
+        Object.assign(result, {
+          status: 'changed',
+          expected: getFingerprint(Buffer.from(entry.key, 'base64')),
+          file,
+          line: entry.line
+        });
+      }
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Append a server key to a known_hosts file
+ * @param {string} file - known_hosts file
+ * @param {string} host - Host as formatted by formatHost
+ * @param {Buffer} key - Public key blob
+ */
+function addHostKey(file, host, key) {
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  
+  let prefix = '';
+  if (fs.existsSync(file)) {
+    const content = fs.readFileSync(file, 'utf8');
+    prefix = content && !content.endsWith('\n') ? '\n' : '';
+  }
+  
+  fs.appendFileSync(file, `${prefix}${host} ${getKeyType(key)} ${key.toString('base64')}\n`, { mode: 0o600 });
+}
+
+/**
+ * Build the error for a host whose key no longer matches known_hosts
+ * @param {object} check - Result of checkHostKey
+ * @returns {Error}
+ */
+function hostKeyChangedError(check) {
+  return new Error(
+    `Host key for ${check.host} has changed! Expected ${check.expected}, got ${check.fingerprint}. ` +
+    'Someone could be intercepting the connection. If the server was reinstalled, ' +
+    `remove the old key from ${check.file} (line ${check.line}) and connect again.`
+  );
+}
+
+/**
+ * Trust a key seen for the first time: accept it when allowed, otherwise ask the user.
+ * The key is saved so later connections verify against it.
+ * @param {object} check - Result of checkHostKey
+ * @param {Buffer} key - Public key blob
+ * @param {object} connection - Connection configuration (acceptNewHostKey, knownHostsFile, interactive)
+ */
+async function trustNewHostKey(check, key, connection) {
+  const { saveTo } = getKnownHostsFiles(connection);
+  
+  if (!connection.acceptNewHostKey) {
+    if (!process.stdin.isTTY || connection.interactive === false) {
+      throw new Error(
+        `Host key for ${check.host} is not known (${check.type} ${check.fingerprint}). ` +
+        'Verify it and re-run with --accept-new-host-key, or add it to known_hosts.'
+      );
+    }
+    
+    const accepted = await confirm(
+      `The authenticity of host '${check.host}' can't be established.\n` +
+      `${check.type} key fingerprint is ${check.fingerprint}.\n` +
+      'Are you sure you want to continue connecting (yes/no)? '
+    );
+    if (!accepted) {
+      throw new Error(`Host key for ${check.host} was not accepted`);
+    }
+  }
+  
+  addHostKey(saveTo, check.host, key);
+}
+
+/**
+ * Connect to the SSH port of a host only to read its public key
+ * @param {string} host - Host name or IP
+ * @param {number} port - SSH port
+ * @param {number} timeout - Timeout in ms
+ * @returns {Promise<Buffer|null>} Public key blob, or null if none was received
+ */
+function fetchHostKey(host, port = 22, timeout = 5000) {
+  return new Promise((resolve) => {
+    const client = new Client();
+    let hostKey = null;
+    
+    const finish = () => {
+      client.end();
+      resolve(hostKey);
+    };
+    
+    client.on('error', finish);
+    client.on('ready', finish);
+    client.connect({
+      host,
+      port,
+      username: 'litai-spex',
+      readyTimeout: timeout,
+      // Stop right after key exchange, before any credentials are sent
+      hostVerifier: (key) => {
+        hostKey = key;
+        return false;
+      }
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_KNOWN_HOSTS_PATH,
+  getFingerprint,
+  getKeyType,
+  formatHost,
+  parseKnownHosts,
+  getKnownHostsFiles,
+  checkHostKey,
+  addHostKey,
+  hostKeyChangedError,
+  trustNewHostKey,
+  fetchHostKey
+};
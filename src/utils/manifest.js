@@ -0,0 +1,93 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+const MANIFEST_FILENAME = '.litai-spex-manifest.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * Compute SHA-256 hash of a file's contents
+ * @param {string} filePath - Path to local file
+ * @returns {string} Hex digest
+ */
+function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  hash.update(fs.readFileSync(filePath));
+  return hash.digest('hex');
+}
+
+/**
+ * Build a manifest describing the local files to deploy
+ * @param {Array<{local: string, remote: string}>} files - File mappings
+ * @returns {object} Manifest object keyed by remote path
+ */
+function buildManifest(files) {
+  const entries = {};
+  
+  for (const file of files) {
+    const stat = fs.statSync(file.local);
+    entries[file.remote] = {
+      size: stat.size,
+      mtime: Math.floor(stat.mtimeMs),
+      hash: hashFile(file.local)
+    };
+  }
+  
+  return {
+    version: MANIFEST_VERSION,
+    generatedAt: new Date().toISOString(),
+    files: entries
+  };
+}
+
+/**
+ * Parse manifest content read from the remote server
+ * @param {string} content - Raw manifest JSON
+ * @returns {object|null} Manifest object, or null if missing or unreadable
+ */
+function parseManifest(content) {
+  if (!content) {
+    return null;
+  }
+  
+  try {
+    const manifest = JSON.parse(content);
+    if (manifest.version !== MANIFEST_VERSION || typeof manifest.files !== 'object') {
+      return null;
+    }
+    return manifest;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Select files that are new or modified compared to the remote manifest
+ * @param {Array<{local: string, remote: string}>} files - File mappings
+ * @param {object} localManifest - Manifest of local files
+ * @param {object|null} remoteManifest - Manifest stored on remote (null uploads everything)
+ * @returns {Array<{local: string, remote: string}>} Files that need to be uploaded
+ */
+function getChangedFiles(files, localManifest, remoteManifest) {
+  if (!remoteManifest) {
+    return files;
+  }
+  
+  return files.filter(file => {
+    const local = localManifest.files[file.remote];
+    const remote = remoteManifest.files[file.remote];
+    
+    if (!remote) {
+      return true;
+    }
+    
+    return local.size !== remote.size || local.hash !== remote.hash;
+  });
+}
+
+module.exports = {
+  MANIFEST_FILENAME,
+  hashFile,
+  buildManifest,
+  parseManifest,
+  getChangedFiles
+};
@@ -0,0 +1,124 @@
+const os = require('os');
+const net = require('net');
+
+/**
+ * Get local IP address
+ * @returns {string|null} Local IP address
+ */
+function getLocalIP() {
+  const interfaces = os.networkInterfaces();
+  
+  for (const name of Object.keys(interfaces)) {
+    for (const iface of interfaces[name]) {
+      // Skip internal and non-IPv4 addresses
+      if (iface.family === 'IPv4' && !iface.internal) {
+        return iface.address;
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Generate IP mask from local IP
+ * @param {string} ip - Local IP address
+ * @returns {string} IP mask (e.g., "192.168.0")
+ */
+function generateMask(ip) {
+  const parts = ip.split('.');
+  return `${parts[0]}.${parts[1]}.${parts[2]}`;
+}
+
+/**
+ * Generate all IPs in a subnet
+ * @param {string} mask - IP mask (e.g., "192.168.0")
+ * @param {string} localIP - Local IP to exclude
+ * @returns {string[]} Array of IP addresses
+ */
+function generateIPRange(mask, localIP) {
+  const ips = [];
+  for (let i = 1; i < 255; i++) {
+    const ip = `${mask}.${i}`;
+    if (ip !== localIP) {
+      ips.push(ip);
+    }
+  }
+  return ips;
+}
+
+/**
+ * Quick TCP port check for SSH
+ * @param {string} ip - IP address
+ * @param {number} timeout - Timeout in ms
+ * @param {number} port - SSH port
+ * @returns {Promise<boolean>}
+ */
+function checkSSHPort(ip, timeout = 1000, port = 22) {
+  return new Promise((resolve) => {
+    const socket = new net.Socket();
+    
+    socket.setTimeout(timeout);
+    
+    socket.on('connect', () => {
+      socket.destroy();
+      resolve(true);
+    });
+    
+    socket.on('timeout', () => {
+      socket.destroy();
+      resolve(false);
+    });
+    
+    socket.on('error', () => {
+      socket.destroy();
+      resolve(false);
+    });
+    
+    socket.connect(port, ip);
+  });
+}
+
+/**
+ * Find hosts with an open SSH port, checking batchSize addresses at a time
+ * @param {string[]} ips - Addresses to check
+ * @param {object} [options] - Options
+ * @param {number} [options.port] - SSH port
+ * @param {number} [options.timeout] - Timeout per address in ms
+ * @param {number} [options.batchSize] - Number of parallel checks
+ * @param {Function} [options.onProgress] - Called with (scanned, total) after each check
+ * @returns {Promise<string[]>} Addresses with the port open, in scan order
+ */
+async function findSSHHosts(ips, { port = 22, timeout = 200, batchSize = 1, onProgress } = {}) {
+  const found = [];
+  let scanned = 0;
+  
+  for (let i = 0; i < ips.length; i += batchSize) {
+    const batch = ips.slice(i, i + batchSize);
+    
+    const results = await Promise.all(
+      batch.map(async (ip) => {
+        const portOpen = await checkSSHPort(ip, timeout, port);
+        scanned++;
+        if (onProgress) onProgress(scanned, ips.length);
+        return { ip, portOpen };
+      })
+    );
+    
+    for (const result of results) {
+      if (result.portOpen) {
+        found.push(result.ip);
+      }
+    }
+  }
+  
+  return found;
+}
+
+module.exports = {
+  getLocalIP,
+  generateMask,
+  generateIPRange,
+  checkSSHPort,
+  findSSHHosts
+};
@@ -0,0 +1,170 @@
+const chalk = require('chalk');
+
+// With --json, stdout carries one JSON object per line (NDJSON): events while a
+// command runs, then a single "result" event. The human-readable text goes to stderr.
+let jsonOutput = false;
+let commandName = null;
+let startTime = Date.now();
+let resultEmitted = false;
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${Math.round(bytes)} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Format a duration in seconds for display
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Human readable duration
+ */
+function formatDuration(seconds) {
+  if (!isFinite(seconds)) return '--';
+  const s = Math.max(0, Math.round(seconds));
+  if (s < 60) return `${s}s`;
+  return `${Math.floor(s / 60)}m${String(s % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Check if --json output is enabled
+ * @returns {boolean}
+ */
+function isJsonOutput() {
+  return jsonOutput;
+}
+
+/**
+ * Write one event as a JSON line to stdout (only with --json)
+ * @param {string} type - Event type, e.g. "upload" or "result"
+ * @param {object} [data] - Event fields
+ */
+function emit(type, data = {}) {
+  if (!jsonOutput) {
+    return;
+  }
+  process.stdout.write(`${JSON.stringify({ type, time: new Date().toISOString(), ...data })}\n`);
+}
+
+/**
+ * Create the emit function of one command run: events go to the emitter passed
+ * to the API (by type, and all of them as "event") and, with --json, to stdout
+ * @param {EventEmitter} [events] - Emitter of the caller
+ * @returns {Function} emit(type, data)
+ */
+function createEmitter(events) {
+  return (type, data = {}) => {
+    emit(type, data);
+    if (events) {
+      events.emit(type, data);
+      events.emit('event', { type, ...data });
+    }
+  };
+}
+
+/**
+ * Write the final "result" event of the command; later calls are ignored
+ * @param {boolean} success - Whether the command succeeded
+ * @param {object} [data] - Result fields, e.g. { error } on failure
+ */
+function emitResult(success, data = {}) {
+  if (resultEmitted) {
+    return;
+  }
+  resultEmitted = true;
+  emit('result', { command: commandName, success, durationMs: Date.now() - startTime, ...data });
+}
+
+/**
+ * Switch to --json output for the rest of the process
+ * @param {string} command - Command name, e.g. "deploy" or "config get"
+ */
+function enableJsonOutput(command) {
+  jsonOutput = true;
+  commandName = command;
+  startTime = Date.now();
+  
+  // Keep stdout for JSON, commands keep printing their text to stderr
+  console.log = console.error;
+  console.info = console.error;
+  
+  // Every run ends with a result, also when a command exits early
+  process.on('exit', (code) => {
+    emitResult(code === 0, code === 0 ? {} : { error: `Exited with code ${code}`, exitCode: code });
+  });
+}
+
+// Output target that prints nothing, used when the API is called from code
+const silentReporter = {
+  spinner: {
+    start: () => {},
+    succeed: () => {},
+    info: () => {},
+    warn: () => {},
+    fail: () => {}
+  },
+  log: () => {},
+  progress: false
+};
+
+/**
+ * Create a progress display: a bar redrawn in place on a terminal, a plain line
+ * every 25% otherwise, and "progress" events with --json
+ * @param {object} [options] - Progress options
+ * @param {object} [options.fields] - Fields added to every progress event, e.g. { operation: 'upload' }
+ * @param {Function} [options.color] - Chalk color of the text
+ * @param {boolean} [options.draw] - Set to false to only emit events
+ * @param {Function} [options.emit] - Emit function of the run (see createEmitter)
+ * @returns {{update: Function, done: Function}} update(percent, text, data) and done()
+ */
+function createProgress({ fields = {}, color = chalk.gray, draw = true, emit: emitEvent = emit } = {}) {
+  const tty = process.stdout.isTTY && !jsonOutput;
+  let lastPercent = -1;
+  let drawn = false;
+  
+  return {
+    update(percent, text, data = {}) {
+      if (percent === lastPercent) {
+        return;
+      }
+      const previous = lastPercent;
+      lastPercent = percent;
+      
+      emitEvent('progress', { ...fields, percent, ...data });
+      if (!draw || jsonOutput) {
+        return;
+      }
+      
+      if (tty) {
+        const bar = '█'.repeat(Math.floor(percent / 2)) + '░'.repeat(50 - Math.floor(percent / 2));
+        process.stdout.clearLine(0);
+        process.stdout.cursorTo(0);
+        process.stdout.write(color(`   [${bar}] ${percent}% ${text}`));
+        drawn = true;
+      } else if (Math.floor(percent / 25) > Math.floor(Math.max(previous, 0) / 25)) {
+        console.log(color(`   ${percent}% ${text}`));
+      }
+    },
+    done() {
+      if (drawn) {
+        process.stdout.write('\n');
+      }
+    }
+  };
+}
+
+module.exports = {
+  formatSize,
+  formatDuration,
+  isJsonOutput,
+  emit,
+  createEmitter,
+  emitResult,
+  enableJsonOutput,
+  silentReporter,
+  createProgress
+};
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+
+// Project types recognized by marker files, with what is usually not deployed for them
+const PROJECT_TYPES = [
+  {
+    name: 'Node.js',
+    markers: ['package.json'],
+    excludeDirectories: ['node_modules', 'coverage', '.nyc_output', '.cache'],
+    excludeFiles: ['npm-debug.log', 'yarn-error.log'],
+    excludePatterns: []
+  },
+  {
+    name: 'Python',
+    markers: ['requirements.txt', 'pyproject.toml', 'setup.py', 'Pipfile'],
+    excludeDirectories: ['__pycache__', '.venv', 'venv', '.pytest_cache', '.mypy_cache', '.tox'],
+    excludeFiles: [],
+    excludePatterns: ['*.pyc', '*.egg-info/']
+  },
+  {
+    name: 'PHP',
+    markers: ['composer.json'],
+    excludeDirectories: ['vendor'],
+    excludeFiles: [],
+    excludePatterns: []
+  },
+  {
+    name: 'Ruby',
+    markers: ['Gemfile'],
+    excludeDirectories: ['.bundle', 'tmp'],
+    excludeFiles: [],
+    excludePatterns: ['vendor/bundle/']
+  },
+  {
+    name: 'Rust',
+    markers: ['Cargo.toml'],
+    excludeDirectories: ['target'],
+    excludeFiles: [],
+    excludePatterns: []
+  },
+  {
+    name: 'Go',
+    markers: ['go.mod'],
+    excludeDirectories: [],
+    excludeFiles: [],
+    excludePatterns: ['*.test']
+  },
+  {
+    name: 'Java',
+    markers: ['pom.xml', 'build.gradle', 'build.gradle.kts'],
+    excludeDirectories: ['.gradle'],
+    excludeFiles: [],
+    excludePatterns: ['/target/', '/build/']
+  }
+];
+
+// Always suggested: version control, editors and OS files
+const COMMON_EXCLUDES = {
+  excludeDirectories: ['.git', '.idea', '.vscode', 'logs'],
+  excludeFiles: ['.DS_Store', 'Thumbs.db', 'deployment-config.json', '.env.local'],
+  excludePatterns: ['*.log', '*.tmp', '*.swp', '*~']
+};
+
+/**
+ * Detect project types from marker files in a directory
+ * @param {string} dir - Project directory
+ * @returns {object[]} Matching entries of PROJECT_TYPES
+ */
+function detectProjectTypes(dir) {
+  return PROJECT_TYPES.filter(type =>
+    type.markers.some(marker => fs.existsSync(path.join(dir, marker)))
+  );
+}
+
+/**
+ * Get suggested exclusions for detected project types
+ * @param {object[]} types - Detected project types
+ * @returns {{excludeDirectories: string[], excludeFiles: string[], excludePatterns: string[]}}
+ */
+function getSuggestedExcludes(types) {
+  const suggested = {};
+  
+  for (const key of Object.keys(COMMON_EXCLUDES)) {
+    const values = [...COMMON_EXCLUDES[key], ...types.flatMap(type => type[key])];
+    suggested[key] = [...new Set(values)];
+  }
+  
+  return suggested;
+}
+
+module.exports = {
+  PROJECT_TYPES,
+  detectProjectTypes,
+  getSuggestedExcludes
+};
@@ -0,0 +1,128 @@
+const readline = require('readline');
+const { isJsonOutput } = require('./output');
+
+// Spinners that would draw over a prompt, stopped while one is shown
+const spinners = new Set();
+// Prompts from parallel connections are asked one after another
+let queue = Promise.resolve();
+
+/**
+ * Stop a spinner while prompts are shown and restart it afterwards
+ * @param {object} spinner - ora spinner
+ */
+function pauseDuringPrompts(spinner) {
+  spinners.add(spinner);
+}
+
+/**
+ * Ask a question on the terminal
+ * @param {string} question - Question to ask
+ * @param {object} [options] - Prompt options
+ * @param {boolean} [options.muted] - Do not echo the answer
+ * @returns {Promise<string>} User input
+ */
+function ask(question, { muted = false } = {}) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new Error(`Cannot prompt for input: ${question.trim()} (stdin is not a terminal)`));
+  }
+  
+  const run = () => new Promise((resolve) => {
+    const paused = [...spinners].filter(spinner => spinner.isSpinning);
+    paused.forEach(spinner => spinner.stop());
+    
+    // With --json, stdout is kept for JSON
+    const output = isJsonOutput() ? process.stderr : process.stdout;
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output,
+      terminal: true
+    });
+    
+    // Echo the question, then swallow everything typed after it
+    let silent = false;
+    const write = rl._writeToOutput.bind(rl);
+    rl._writeToOutput = (text) => {
+      if (!silent) write(text);
+    };
+    
+    rl.question(question, (answer) => {
+      rl.close();
+      if (muted) {
+        output.write('\n');
+      }
+      paused.forEach(spinner => spinner.start());
+      resolve(answer);
+    });
+    silent = muted;
+  });
+  
+  const answer = queue.then(run);
+  queue = answer.catch(() => {});
+  return answer;
+}
+
+/**
+ * Prompt for input without echoing it (passwords, passphrases)
+ * @param {string} question - Question to ask
+ * @returns {Promise<string>} User input
+ */
+function promptSecret(question) {
+  return ask(question, { muted: true });
+}
+
+/**
+ * Ask for a value, showing the default in brackets
+ * @param {string} question - Question to ask (without trailing colon)
+ * @param {string} [defaultValue] - Returned when the answer is empty
+ * @returns {Promise<string>} User input or the default
+ */
+async function promptInput(question, defaultValue = '') {
+  const suffix = defaultValue ? ` [${defaultValue}]` : '';
+  const answer = (await ask(`${question}${suffix}: `)).trim();
+  return answer || defaultValue;
+}
+
+/**
+ * Ask a yes/no question
+ * @param {string} question - Question to ask
+ * @param {boolean} [defaultValue] - Returned when the answer is empty
+ * @returns {Promise<boolean>} True if the user answered yes
+ */
+async function confirm(question, defaultValue = false) {
+  const answer = (await ask(question)).trim().toLowerCase();
+  if (!answer) {
+    return defaultValue;
+  }
+  return answer === 'y' || answer === 'yes';
+}
+
+/**
+ * Let the user pick one entry of a numbered list
+ * @param {string} question - Question to ask
+ * @param {string[]} choices - Entries to choose from
+ * @param {number} [defaultIndex] - Index returned when the answer is empty
+ * @returns {Promise<number>} Index of the chosen entry
+ */
+async function choose(question, choices, defaultIndex = 0) {
+  console.log(question);
+  choices.forEach((choice, index) => {
+    console.log(`   ${index + 1}) ${choice}`);
+  });
+  
+  for (;;) {
+    const answer = await promptInput('   Choice', String(defaultIndex + 1));
+    const index = parseInt(answer, 10) - 1;
+    if (index >= 0 && index < choices.length) {
+      return index;
+    }
+    console.log(`   Enter a number from 1 to ${choices.length}`);
+  }
+}
+
+module.exports = {
+  pauseDuringPrompts,
+  promptSecret,
+  promptInput,
+  confirm,
+  choose
+};
@@ -0,0 +1,59 @@
+const RELEASES_DIR = 'releases';
+const CURRENT_LINK = 'current';
+
+/**
+ * Create a release id from the current time (e.g. 20240115093042)
+ * @param {Date} date - Release date
+ * @returns {string} Release id
+ */
+function createReleaseId(date = new Date()) {
+  return date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+/**
+ * Get releases that should be removed to keep only the newest ones
+ * @param {string[]} releases - Release ids, sorted oldest first
+ * @param {number} keep - Number of releases to keep
+ * @param {string|null} current - Currently active release (never removed)
+ * @returns {string[]} Release ids to remove
+ */
+function getReleasesToPrune(releases, keep, current) {
+  if (!keep || keep < 1 || releases.length <= keep) {
+    return [];
+  }
+  
+  return releases
+    .slice(0, releases.length - keep)
+    .filter(release => release !== current);
+}
+
+/**
+ * Get the release to roll back to
+ * @param {string[]} releases - Release ids, sorted oldest first
+ * @param {string|null} current - Currently active release
+ * @param {string} [requested] - Release explicitly requested by the user
+ * @returns {string} Release id
+ */
+function getRollbackTarget(releases, current, requested) {
+  if (requested) {
+    if (!releases.includes(requested)) {
+      throw new Error(`Release not found: ${requested}`);
+    }
+    return requested;
+  }
+  
+  const index = releases.indexOf(current);
+  if (index <= 0) {
+    throw new Error('No previous release to roll back to');
+  }
+  
+  return releases[index - 1];
+}
+
+module.exports = {
+  RELEASES_DIR,
+  CURRENT_LINK,
+  createReleaseId,
+  getReleasesToPrune,
+  getRollbackTarget
+};
@@ -0,0 +1,245 @@
+// Minimal JSON Schema validator covering the keywords used by schema/*.schema.json:
+// $ref (local), type, properties, additionalProperties, items, enum, minimum, maximum, pattern, anyOf
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value to check
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value against a JSON Schema type name
+ * @param {*} value - Value to check
+ * @param {string} type - Schema type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  
+  return previous[b.length];
+}
+
+/**
+ * Find the known name closest to a misspelled one
+ * @param {string} name - Unknown name
+ * @param {string[]} candidates - Known names
+ * @returns {string|null} Suggestion, or null if nothing is close enough
+ */
+function suggest(name, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  
+  for (const candidate of candidates) {
+    const distance = candidate.toLowerCase() === name.toLowerCase()
+      ? 0
+      : editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  
+  // Allow about one typo per three characters; a prefix ("exclude" for "excludeFiles") also counts
+  const limit = Math.max(2, Math.floor(name.length / 3));
+  if (best && bestDistance <= limit) {
+    return best;
+  }
+  return candidates.find(candidate => candidate.toLowerCase().startsWith(name.toLowerCase())) || null;
+}
+
+/**
+ * Resolve a local $ref such as "#/definitions/connection"
+ * @param {object} root - Root schema
+ * @param {string} ref - Reference
+ * @returns {object} Referenced schema
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported schema reference: ${ref}`);
+  }
+  return ref.slice(2).split('/').reduce((node, key) => node[key], root);
+}
+
+/**
+ * Describe what a schema accepts, for "must be ..." messages
+ * @param {object} schema - Schema
+ * @param {object} root - Root schema
+ * @returns {string}
+ */
+function describe(schema, root) {
+  if (schema.$ref) {
+    return describe(resolveRef(root, schema.$ref), root);
+  }
+  if (schema.anyOf) {
+    return schema.anyOf.map(option => describe(option, root)).join(' or ');
+  }
+  if (schema.enum) {
+    return schema.enum.map(value => JSON.stringify(value)).join(' or ');
+  }
+  if (schema.pattern && schema.type === 'string') {
+    return 'a ${VAR} reference';
+  }
+  
+  const names = { object: 'an object', array: 'an array', string: 'a string', integer: 'an integer', number: 'a number', boolean: 'true or false' };
+  const types = [].concat(schema.type || []);
+  let text = types.map(type => names[type] || type).join(' or ') || 'a value';
+  
+  if (schema.type === 'array' && schema.items?.type) {
+    text = `an array of ${schema.items.type}s`;
+  }
+  if (schema.minimum !== undefined && schema.maximum !== undefined) {
+    text += ` from ${schema.minimum} to ${schema.maximum}`;
+  } else if (schema.minimum !== undefined) {
+    text += ` of at least ${schema.minimum}`;
+  }
+  return text;
+}
+
+/**
+ * Join an object key onto a key path
+ * @param {string} keyPath - Parent path
+ * @param {string} key - Key
+ * @returns {string}
+ */
+function joinPath(keyPath, key) {
+  return keyPath ? `${keyPath}.${key}` : key;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Value to validate
+ * @param {object} schema - Schema (or sub-schema)
+ * @param {object} [root] - Root schema, for $ref
+ * @param {string} [keyPath] - Key path of value, e.g. "deploy.excludeFiles[2]"
+ * @returns {{path: string, message: string}[]} Errors, empty if the value is valid
+ */
+function validateSchema(value, schema, root = schema, keyPath = '') {
+  if (schema.$ref) {
+    return validateSchema(value, resolveRef(root, schema.$ref), root, keyPath);
+  }
+  
+  if (schema.anyOf) {
+    const results = schema.anyOf.map(option => validateSchema(value, option, root, keyPath));
+    if (results.some(errors => errors.length === 0)) {
+      return [];
+    }
+    // Report the nested errors of the option with the right type, e.g. a bad item in an array
+    const sameType = schema.anyOf.findIndex(option => {
+      const resolved = option.$ref ? resolveRef(root, option.$ref) : option;
+      return resolved.type && [].concat(resolved.type).some(type => matchesType(value, type)) && !resolved.pattern;
+    });
+    if (sameType !== -1 && results[sameType].some(error => error.path !== keyPath)) {
+      return results[sameType];
+    }
+    return [{ path: keyPath, message: `must be ${describe(schema, root)}, got ${JSON.stringify(value)}` }];
+  }
+  
+  if (schema.type && ![].concat(schema.type).some(type => matchesType(value, type))) {
+    return [{ path: keyPath, message: `must be ${describe(schema, root)}, got ${typeOf(value)}` }];
+  }
+  
+  if (schema.enum && !schema.enum.some(allowed => allowed === value)) {
+    return [{ path: keyPath, message: `must be ${describe(schema, root)}, got ${JSON.stringify(value)}` }];
+  }
+  
+  const errors = [];
+  
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: keyPath, message: `must be at least ${schema.minimum}, got ${value}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: keyPath, message: `must be at most ${schema.maximum}, got ${value}` });
+    }
+  }
+  
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path: keyPath, message: `must be ${describe(schema, root)}, got ${JSON.stringify(value)}` });
+  }
+  
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, root, `${keyPath}[${index}]`));
+    });
+  }
+  
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const known = Object.keys(properties);
+    
+    for (const [key, item] of Object.entries(value)) {
+      const itemPath = joinPath(keyPath, key);
+      if (properties[key]) {
+        errors.push(...validateSchema(item, properties[key], root, itemPath));
+      } else if (schema.additionalProperties === false) {
+        const suggestion = suggest(key, known);
+        errors.push({
+          path: itemPath,
+          message: `unknown key${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+        });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(item, schema.additionalProperties, root, itemPath));
+      }
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Find the schema describing a key path, e.g. ["targets", "staging", "connection", "port"]
+ * @param {object} root - Root schema
+ * @param {string[]} keys - Key path
+ * @param {object} [start] - Schema the path starts at (default: the root)
+ * @returns {object|null} Sub-schema, or null if the path is not described
+ */
+function getSchemaAt(root, keys, start = root) {
+  let schema = start;
+  
+  for (const key of keys) {
+    while (schema.$ref) {
+      schema = resolveRef(root, schema.$ref);
+    }
+    if (schema.properties?.[key]) {
+      schema = schema.properties[key];
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      schema = schema.additionalProperties;
+    } else {
+      return null;
+    }
+  }
+  
+  return schema;
+}
+
+module.exports = {
+  validateSchema,
+  getSchemaAt,
+  suggest
+};
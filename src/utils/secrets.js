@@ -0,0 +1,160 @@
+const { StringDecoder } = require('string_decoder');
+
+const SECRET_KEY_PATTERN = /password|passphrase|secret|token/i;
+const MASK = '****';
+// How long output that may be the start of a secret is held back waiting for the rest
+const HOLD_DELAY = 50;
+
+const secrets = new Set();
+
+/**
+ * Register a value that must never appear in console output
+ * @param {string} value - Secret value
+ */
+function registerSecret(value) {
+  // Very short values would mask unrelated output
+  if (typeof value === 'string' && value.length >= 3) {
+    secrets.add(value);
+  }
+}
+
+/**
+ * Check if a config key holds a secret (password, passphrase, ...)
+ * @param {string} key - Config key
+ * @returns {boolean}
+ */
+function isSecretKey(key) {
+  return SECRET_KEY_PATTERN.test(key);
+}
+
+/**
+ * Register every string stored under a secret-looking key (password, passphrase, ...)
+ * @param {*} value - Config value to walk
+ */
+function registerConfigSecrets(value) {
+  if (!value || typeof value !== 'object') {
+    return;
+  }
+  
+  for (const [key, item] of Object.entries(value)) {
+    if (typeof item === 'string' && isSecretKey(key)) {
+      registerSecret(item);
+    } else {
+      registerConfigSecrets(item);
+    }
+  }
+}
+
+/**
+ * Replace registered secrets in a string
+ * @param {string} text - Text to mask
+ * @returns {string} Masked text
+ */
+function maskSecrets(text) {
+  let masked = text;
+  for (const secret of secrets) {
+    masked = masked.split(secret).join(MASK);
+  }
+  return masked;
+}
+
+/**
+ * Get the length of the longest end of a text that is the start of a registered secret
+ * @param {string} text - Masked text
+ * @returns {number}
+ */
+function getPartialSecretLength(text) {
+  let longest = 0;
+  for (const secret of secrets) {
+    for (let length = Math.min(secret.length - 1, text.length); length > longest; length--) {
+      if (text.endsWith(secret.slice(0, length))) {
+        longest = length;
+        break;
+      }
+    }
+  }
+  return longest;
+}
+
+/**
+ * Create a masker for text written in chunks. A secret split across chunks is masked too:
+ * an end of a chunk that may be the start of a secret is held back until the next chunk.
+ * @returns {{push: Function, flush: Function, holding: boolean}} push(text) returns the masked
+ *   text that can be written now, flush() returns the text held back
+ */
+function createMasker() {
+  let held = '';
+  
+  return {
+    push(text) {
+      const masked = maskSecrets(held + text);
+      const end = masked.length - getPartialSecretLength(masked);
+      held = masked.slice(end);
+      return masked.slice(0, end);
+    },
+    flush() {
+      const rest = held;
+      held = '';
+      return rest;
+    },
+    get holding() {
+      return held.length > 0;
+    }
+  };
+}
+
+/**
+ * Mask registered secrets in everything written to stdout and stderr.
+ * Held back output is written with the next write, after HOLD_DELAY or on exit.
+ */
+function installOutputMasking() {
+  for (const stream of [process.stdout, process.stderr]) {
+    const write = stream.write.bind(stream);
+    const masker = createMasker();
+    const decoder = new StringDecoder('utf8');
+    let timer = null;
+    
+    const flush = () => {
+      clearTimeout(timer);
+      timer = null;
+      const rest = masker.flush();
+      if (rest) {
+        write(rest);
+      }
+    };
+    process.on('exit', flush);
+    
+    stream.write = (chunk, encoding, callback) => {
+      if (typeof encoding === 'function') {
+        callback = encoding;
+        encoding = undefined;
+      }
+      if (secrets.size === 0) {
+        flush();
+        return write(chunk, encoding, callback);
+      }
+      
+      const text = masker.push(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+      clearTimeout(timer);
+      timer = masker.holding ? setTimeout(flush, HOLD_DELAY).unref() : null;
+      
+      if (text) {
+        return write(text, callback);
+      }
+      if (callback) {
+        process.nextTick(callback);
+      }
+      return true;
+    };
+  }
+}
+
+module.exports = {
+  MASK,
+  isSecretKey,
+  registerSecret,
+  registerConfigSecrets,
+  maskSecrets,
+  createMasker,
+  installOutputMasking
+};
@@ -0,0 +1,10 @@
+/**
+ * Quote a value for safe use as a single shell argument
+ * @param {string} value - Value to quote
+ * @returns {string}
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+module.exports = { shellQuote };
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_SSH_CONFIG_PATH = path.join(os.homedir(), '.ssh', 'config');
+// Keys OpenSSH tries when no IdentityFile is configured
+const DEFAULT_IDENTITY_FILES = ['id_ed25519', 'id_ecdsa', 'id_rsa']
+  .map(name => path.join(os.homedir(), '.ssh', name));
+
+/**
+ * Expand a leading ~ to the user's home directory
+ * @param {string} filePath - Path that may start with ~
+ * @returns {string} Expanded path
+ */
+function expandHome(filePath) {
+  if (filePath === '~') {
+    return os.homedir();
+  }
+  if (filePath.startsWith('~/') || filePath.startsWith('~\\')) {
+    return path.join(os.homedir(), filePath.slice(2));
+  }
+  return filePath;
+}
+
+/**
+ * Replace the home directory in a path with ~ for display and portable configs
+ * @param {string} filePath - Absolute path
+ * @returns {string}
+ */
+function tildify(filePath) {
+  const home = os.homedir();
+  return filePath.startsWith(home + path.sep) ? `~${filePath.slice(home.length)}` : filePath;
+}
+
+/**
+ * Check if a host matches an ssh_config Host pattern list (supports *, ? and ! negation)
+ * @param {string} host - Host alias
+ * @param {string[]} patterns - Patterns from a Host line
+ * @returns {boolean}
+ */
+function matchesHostPatterns(host, patterns) {
+  let matched = false;
+  
+  for (const pattern of patterns) {
+    const negate = pattern.startsWith('!');
+    const glob = negate ? pattern.slice(1) : pattern;
+    const regex = new RegExp('^' + glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$', 'i');
+    
+    if (regex.test(host)) {
+      if (negate) return false;
+      matched = true;
+    }
+  }
+  
+  return matched;
+}
+
+/**
+ * Parse an ssh_config file into Host blocks
+ * @param {string} content - File contents
+ * @returns {Array<{patterns: string[], options: Array<[string, string]>}>} Blocks in file order
+ */
+function parseSSHConfig(content) {
+  const blocks = [];
+  // Options before the first Host line apply to every host
+  let current = { patterns: ['*'], options: [] };
+  blocks.push(current);
+  
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+    
+    const match = line.match(/^(\S+?)(?:\s*=\s*|\s+)(.+)$/);
+    if (!match) {
+      continue;
+    }
+    
+    const key = match[1].toLowerCase();
+    const value = match[2].trim();
+    
+    if (key === 'host') {
+      current = { patterns: value.split(/\s+/).map(p => p.replace(/^"|"$/g, '')), options: [] };
+      blocks.push(current);
+    } else if (key === 'match') {
+      // Match blocks are not supported; ignore their options
+      current = { patterns: [], options: [] };
+      blocks.push(current);
+    } else {
+      current.options.push([key, value.replace(/^"(.*)"$/, '$1')]);
+    }
+  }
+  
+  return blocks;
+}
+
+/**
+ * Look up the settings for a host in ~/.ssh/config (first value wins, as in OpenSSH)
+ * @param {string} host - Host alias or name
+ * @param {string} [configPath] - Path to ssh config file
+ * @returns {{hostName?: string, user?: string, port?: number, identityFiles: string[], proxyJump?: string}}
+ */
+function lookupSSHHost(host, configPath = DEFAULT_SSH_CONFIG_PATH) {
+  const result = { identityFiles: [] };
+  
+  if (!host || !fs.existsSync(configPath)) {
+    return result;
+  }
+  
+  const blocks = parseSSHConfig(fs.readFileSync(configPath, 'utf8'));
+  
+  for (const block of blocks) {
+    if (!matchesHostPatterns(host, block.patterns)) {
+      continue;
+    }
+    
+    for (const [key, value] of block.options) {
+      switch (key) {
+        case 'hostname':
+          if (result.hostName === undefined) result.hostName = value.replace(/%h/g, host);
+          break;
+        case 'user':
+          if (result.user === undefined) result.user = value;
+          break;
+        case 'port':
+          if (result.port === undefined) result.port = parseInt(value, 10);
+          break;
+        case 'identityfile':
+          result.identityFiles.push(expandHome(value.replace(/%d/g, os.homedir()).replace(/%h/g, host)));
+          break;
+        case 'proxyjump':
+          if (result.proxyJump === undefined && value.toLowerCase() !== 'none') result.proxyJump = value;
+          break;
+        default:
+          break;
+      }
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Parse a jump host specification ([user@]host[:port])
+ * @param {string} spec - Jump host, e.g. "admin@bastion:2222"
+ * @returns {{host: string, username?: string, port?: number}}
+ * @throws {Error} For a comma-separated chain of several hops
+ */
+function parseJumpHost(spec) {
+  if (spec.includes(',')) {
+    throw new Error(`Multiple ProxyJump hops are not supported: ${spec}`);
+  }
+  
+  const match = spec.trim().match(/^(?:([^@]+)@)?([^:]+)(?::(\d+))?$/);
+  if (!match) {
+    throw new Error(`Invalid jump host: ${spec}`);
+  }
+  
+  return {
+    host: match[2],
+    username: match[1],
+    port: match[3] ? parseInt(match[3], 10) : undefined
+  };
+}
+
+module.exports = {
+  DEFAULT_SSH_CONFIG_PATH,
+  DEFAULT_IDENTITY_FILES,
+  expandHome,
+  tildify,
+  matchesHostPatterns,
+  parseSSHConfig,
+  lookupSSHHost,
+  parseJumpHost
+};
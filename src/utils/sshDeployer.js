@@ -1,39 +1,246 @@
 const { NodeSSH } = require('node-ssh');
+const { utils } = require('ssh2');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { MANIFEST_FILENAME, parseManifest } = require('./manifest');
+const { RELEASES_DIR, CURRENT_LINK } = require('./releases');
+const { DEFAULT_IDENTITY_FILES, lookupSSHHost, parseJumpHost, expandHome } = require('./sshConfig');
+const { getKnownHostsFiles, checkHostKey, hostKeyChangedError, trustNewHostKey } = require('./knownHosts');
+const { promptSecret } = require('./prompt');
+const { registerSecret } = require('./secrets');
+const { shellQuote } = require('./shell');
+
+// SFTP status code for a path that does not exist
+const SFTP_NO_SUCH_FILE = 2;
+
+/**
+ * Collect output chunks and pass on complete lines
+ * @param {Function} onLine - Called with each line (without the line break)
+ * @returns {object} { push(chunk), flush() }
+ */
+function createLineBuffer(onLine) {
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
+  
+  return {
+    push(chunk) {
+      const lines = (pending + decoder.write(chunk)).split(/\r?\n/);
+      pending = lines.pop();
+      lines.forEach(line => onLine(line));
+    },
+    flush() {
+      pending += decoder.end();
+      if (pending) {
+        onLine(pending);
+        pending = '';
+      }
+    }
+  };
+}
+
+// Passphrases entered at the prompt, by key path, so several connections ask only once
+const passphrasePrompts = new Map();
+
+/**
+ * Ask for the passphrase of an encrypted key until it decrypts the key
+ * @param {string} keyPath - Path to private key
+ * @param {string} privateKey - Key contents
+ * @returns {Promise<string>} Passphrase
+ */
+async function promptPassphrase(keyPath, privateKey) {
+  const passphrase = await promptSecret(`Enter passphrase for key '${keyPath}': `);
+  
+  if (utils.parseKey(privateKey, passphrase) instanceof Error) {
+    throw new Error(`Wrong passphrase for key ${keyPath}`);
+  }
+  registerSecret(passphrase);
+  
+  return passphrase;
+}
+
+/**
+ * Read a private key, prompting for its passphrase if it is encrypted
+ * @param {string} keyPath - Path to private key
+ * @param {string} [passphrase] - Passphrase from config
+ * @param {boolean} [interactive] - Set to false to fail instead of prompting
+ * @returns {Promise<{privateKey: string, passphrase?: string}>}
+ */
+async function readPrivateKey(keyPath, passphrase, interactive = true) {
+  const privateKey = fs.readFileSync(keyPath, 'utf8');
+  const parsed = utils.parseKey(privateKey, passphrase || undefined);
+  
+  if (!(parsed instanceof Error)) {
+    return { privateKey, passphrase: passphrase || undefined };
+  }
+  if (passphrase || !/passphrase/i.test(parsed.message)) {
+    throw new Error(`Cannot use private key ${keyPath}: ${parsed.message}`);
+  }
+  if (!interactive) {
+    throw new Error(`Private key ${keyPath} is encrypted, set connection.passphrase`);
+  }
+  
+  if (!passphrasePrompts.has(keyPath)) {
+    const pending = promptPassphrase(keyPath, privateKey);
+    // Forget failed attempts so the next connection asks again
+    pending.catch(() => passphrasePrompts.delete(keyPath));
+    passphrasePrompts.set(keyPath, pending);
+  }
+  
+  return { privateKey, passphrase: await passphrasePrompts.get(keyPath) };
+}
+
+/**
+ * Build ssh2 connection options, filling gaps from ~/.ssh/config and ssh-agent
+ * @param {object} connection - Connection configuration
+ * @returns {Promise<{options: object, proxyJump?: string}>}
+ */
+async function buildConnectOptions(connection) {
+  const sshHost = connection.useSSHConfig === false
+    ? { identityFiles: [] }
+    : lookupSSHHost(connection.host);
+  
+  const options = {
+    host: sshHost.hostName || connection.host,
+    port: parseInt(connection.port, 10) || sshHost.port || 22,
+    username: connection.username || sshHost.user
+  };
+  
+  if (connection.readyTimeout) {
+    options.readyTimeout = connection.readyTimeout;
+  }
+  
+  let keyPath = null;
+  if (connection.privateKeyPath) {
+    keyPath = path.resolve(process.cwd(), expandHome(connection.privateKeyPath));
+    if (!fs.existsSync(keyPath)) {
+      throw new Error(`Private key file not found: ${keyPath}`);
+    }
+  } else {
+    keyPath = sshHost.identityFiles.find(file => fs.existsSync(file)) || null;
+  }
+  
+  if (connection.password) {
+    options.password = connection.password;
+  }
+  
+  // agent: false turns ssh-agent off, e.g. to check that a specific key works
+  const agent = connection.agent === false ? null : connection.agent || process.env.SSH_AUTH_SOCK;
+  if (agent) {
+    options.agent = agent;
+  }
+  
+  // Like OpenSSH, fall back to the default keys when nothing else is configured
+  if (!keyPath && !options.password && !options.agent) {
+    keyPath = DEFAULT_IDENTITY_FILES.find(file => fs.existsSync(file)) || null;
+  }
+  
+  if (keyPath) {
+    Object.assign(options, await readPrivateKey(keyPath, connection.passphrase, connection.interactive !== false));
+  }
+  
+  if (!options.privateKey && !options.password && !options.agent) {
+    throw new Error('No authentication method provided (password, private key or ssh-agent)');
+  }
+  
+  return { options, proxyJump: sshHost.proxyJump };
+}
+
+/**
+ * Connect and verify the server key against known_hosts. An unknown key is
+ * rejected, then trusted (flag or prompt) and the connection retried, so the
+ * handshake timeout does not run while the user reads the prompt.
+ * @param {NodeSSH} ssh - Connection to open
+ * @param {object} options - ssh2 connection options
+ * @param {object} connection - Connection configuration (knownHostsFile, acceptNewHostKey)
+ * @param {Function} [openSock] - Opens a stream to the host through a jump host
+ */
+async function connectVerified(ssh, options, connection, openSock) {
+  const { files } = getKnownHostsFiles(connection);
+  let check = null;
+  let hostKey = null;
+  
+  const attempt = async () => ssh.connect({
+    ...options,
+    ...(openSock && { sock: await openSock() }),
+    hostVerifier: (key) => {
+      hostKey = key;
+      check = checkHostKey(options.host, options.port, key, files);
+      return check.status === 'known';
+    }
+  });
+  
+  try {
+    await attempt();
+  } catch (error) {
+    if (!check || check.status === 'known') {
+      throw error;
+    }
+    if (check.status === 'changed') {
+      throw hostKeyChangedError(check);
+    }
+    
+    await trustNewHostKey(check, hostKey, connection);
+    await attempt();
+  }
+}
 
 class SSHDeployer {
   constructor() {
     this.ssh = new NodeSSH();
+    this.jumpSsh = null;
     this.connected = false;
   }
   
   /**
-   * Connect to remote server
+   * Connect to remote server, optionally through a jump host
    * @param {object} connectionConfig - Connection configuration
    */
   async connect(connectionConfig) {
-    const config = {
-      host: connectionConfig.host,
-      username: connectionConfig.username
-    };
+    const { options, proxyJump } = await buildConnectOptions(connectionConfig);
+    const jumpSpec = connectionConfig.jumpHost || proxyJump;
+    let openSock = null;
     
-    if (connectionConfig.privateKeyPath) {
-      const keyPath = path.resolve(process.cwd(), connectionConfig.privateKeyPath);
-      if (!fs.existsSync(keyPath)) {
-        throw new Error(`Private key file not found: ${keyPath}`);
+    try {
+      if (jumpSpec) {
+        const jump = parseJumpHost(jumpSpec);
+        // The jump host has its own identity: user and keys from the spec, ~/.ssh/config,
+        // ssh-agent or the default keys, never the target's password or key
+        const { options: jumpOptions } = await buildConnectOptions({
+          host: jump.host,
+          port: jump.port,
+          username: jump.username,
+          agent: connectionConfig.agent,
+          useSSHConfig: connectionConfig.useSSHConfig,
+          readyTimeout: connectionConfig.readyTimeout,
+          interactive: connectionConfig.interactive
+        });
+        jumpOptions.username = jumpOptions.username || os.userInfo().username;
+        
+        this.jumpSsh = new NodeSSH();
+        await connectVerified(this.jumpSsh, jumpOptions, connectionConfig);
+        openSock = () => this.jumpSsh.forwardOut('127.0.0.1', 0, options.host, options.port);
       }
-      config.privateKey = fs.readFileSync(keyPath, 'utf8');
-    } else if (connectionConfig.password) {
-      config.password = connectionConfig.password;
-    } else {
-      throw new Error('No authentication method provided (password or private key)');
+      
+      await connectVerified(this.ssh, options, connectionConfig, openSock);
+    } catch (error) {
+      this.disposeJump();
+      throw error;
     }
-    
-    await this.ssh.connect(config);
     this.connected = true;
   }
   
+  /**
+   * Close the jump host connection, if any
+   */
+  disposeJump() {
+    if (this.jumpSsh) {
+      this.jumpSsh.dispose();
+      this.jumpSsh = null;
+    }
+  }
+  
   /**
    * Disconnect from remote server
    */
@@ -42,70 +249,533 @@ class SSHDeployer {
       this.ssh.dispose();
       this.connected = false;
     }
+    this.disposeJump();
   }
   
   /**
-   * Create directories on remote server
+   * Create directories on remote server, batched into as few commands as possible
    * @param {string} baseDir - Base directory on remote
    * @param {string[]} directories - Array of directory paths relative to baseDir
    * @param {function} onProgress - Progress callback
    */
   async createDirectories(baseDir, directories, onProgress) {
-    // First ensure base directory exists
-    await this.ssh.execCommand(`mkdir -p "${baseDir}"`);
+    const batchSize = 200;
+    const paths = [baseDir, ...directories.map(dir => `${baseDir}/${dir}`)];
     
-    for (const dir of directories) {
-      const fullPath = `${baseDir}/${dir}`;
-      await this.ssh.execCommand(`mkdir -p "${fullPath}"`);
-      if (onProgress) onProgress(dir);
+    for (let i = 0; i < paths.length; i += batchSize) {
+      const batch = paths.slice(i, i + batchSize);
+      const result = await this.ssh.execCommand(`mkdir -p ${batch.map(shellQuote).join(' ')}`);
+      if (result.code !== 0) {
+        throw new Error(`Failed to create directories: ${result.stderr}`);
+      }
+      if (onProgress) {
+        batch.filter(p => p !== baseDir).forEach(p => onProgress(p.slice(baseDir.length + 1)));
+      }
     }
   }
   
   /**
-   * Upload files to remote server
+   * Upload files to remote server over a pool of concurrent SFTP transfers
    * @param {string} baseDir - Base directory on remote
    * @param {Array<{local: string, remote: string}>} files - File mappings
-   * @param {function} onProgress - Progress callback (receives current file index and total)
+   * @param {function} onProgress - Progress callback (receives completed count, total, file and byte counts)
+   * @param {object} options - Upload options
+   * @param {number} options.concurrency - Number of parallel transfers (default: 4)
    */
-  async uploadFiles(baseDir, files, onProgress) {
+  async uploadFiles(baseDir, files, onProgress, { concurrency = 4 } = {}) {
     const total = files.length;
+    const sizes = files.map(file => fs.statSync(file.local).size);
+    const totalBytes = sizes.reduce((sum, size) => sum + size, 0);
+    const sftp = await this.ssh.requestSFTP();
     
-    for (let i = 0; i < files.length; i++) {
-      const file = files[i];
-      const remotePath = `${baseDir}/${file.remote}`;
-      
-      await this.ssh.putFile(file.local, remotePath);
-      
-      if (onProgress) {
-        onProgress(i + 1, total, file.remote);
+    let next = 0;
+    let completed = 0;
+    let bytes = 0;
+    let failed = false;
+    
+    const worker = async () => {
+      while (next < total && !failed) {
+        const index = next++;
+        const file = files[index];
+        
+        try {
+          await this.ssh.putFile(file.local, `${baseDir}/${file.remote}`, sftp);
+        } catch (error) {
+          failed = true;
+          throw new Error(`Failed to upload ${file.remote}: ${error.message}`);
+        }
+        
+        completed++;
+        bytes += sizes[index];
+        if (onProgress) {
+          onProgress(completed, total, file.remote, { bytes, totalBytes });
+        }
+      }
+    };
+    
+    try {
+      const workers = Math.max(1, Math.min(concurrency, total));
+      // Let in-flight transfers settle before closing the SFTP session
+      const results = await Promise.allSettled(Array.from({ length: workers }, worker));
+      const failure = results.find(result => result.status === 'rejected');
+      if (failure) {
+        throw failure.reason;
       }
+    } finally {
+      sftp.end();
+    }
+  }
+  
+  /**
+   * Upload a tarball, extract it into the base directory and delete it
+   * @param {string} baseDir - Base directory on remote
+   * @param {string} archivePath - Local path to .tar.gz archive
+   */
+  async uploadArchive(baseDir, archivePath) {
+    const remoteArchive = `${baseDir}/.litai-spex-upload-${Date.now()}.tar.gz`;
+    
+    await this.ssh.putFile(archivePath, remoteArchive);
+    
+    const result = await this.ssh.execCommand(
+      `tar -xzf ${shellQuote(remoteArchive)} -C ${shellQuote(baseDir)}; status=$?; rm -f ${shellQuote(remoteArchive)}; exit $status`
+    );
+    if (result.code !== 0) {
+      throw new Error(`Failed to extract archive: ${result.stderr}`);
+    }
+  }
+  
+  /**
+   * Check if a command is available on remote server
+   * @param {string} command - Command name
+   * @returns {boolean}
+   */
+  async hasCommand(command) {
+    const result = await this.ssh.execCommand(`command -v ${shellQuote(command)}`);
+    return result.code === 0;
+  }
+  
+  /**
+   * Add a public key to ~/.ssh/authorized_keys of the remote user, creating the
+   * file and fixing permissions as sshd expects
+   * @param {string} publicKey - Public key line
+   * @returns {Promise<boolean>} True if the key was added, false if it was already there
+   */
+  async installPublicKey(publicKey) {
+    // The key arrives on stdin; it counts as present when type and key data match
+    const script = [
+      'umask 077',
+      'mkdir -p ~/.ssh && touch ~/.ssh/authorized_keys || exit 1',
+      'chmod 700 ~/.ssh && chmod 600 ~/.ssh/authorized_keys || exit 1',
+      'read -r key',
+      'set -- $key',
+      'if grep -qF "$1 $2" ~/.ssh/authorized_keys; then echo present; exit 0; fi',
+      '[ -s ~/.ssh/authorized_keys ] && [ -n "$(tail -c 1 ~/.ssh/authorized_keys)" ] && echo >> ~/.ssh/authorized_keys',
+      'echo "$key" >> ~/.ssh/authorized_keys || exit 1',
+      'command -v restorecon >/dev/null 2>&1 && restorecon -F ~/.ssh ~/.ssh/authorized_keys',
+      'echo added'
+    ].join('\n');
+    
+    const result = await this.ssh.execCommand(`sh -c ${shellQuote(script)}`, { stdin: `${publicKey}\n` });
+    if (!/\b(added|present)\b/.test(result.stdout)) {
+      throw new Error(`Failed to update ~/.ssh/authorized_keys: ${result.stderr || `exit code ${result.code}`}`);
     }
+    return result.stdout.includes('added');
+  }
+  
+  /**
+   * Run a command on remote server, streaming its output line by line.
+   * Ctrl-C sends SIGINT to the remote command; a second Ctrl-C closes the channel.
+   * @param {string} command - Shell command
+   * @param {object} [options] - Options
+   * @param {Function} [options.onStdout] - Called with each stdout line
+   * @param {Function} [options.onStderr] - Called with each stderr line
+   * @param {number} [options.timeout] - Stop the command after this many seconds
+   * @param {string} [options.stdin] - Data written to the command's stdin
+   * @returns {Promise<object>} { code, signal, timedOut, interrupted }
+   */
+  streamCommand(command, { onStdout = () => {}, onStderr = () => {}, timeout, stdin } = {}) {
+    return new Promise((resolve, reject) => {
+      this.ssh.connection.exec(command, (error, stream) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        
+        const stdout = createLineBuffer(onStdout);
+        const stderr = createLineBuffer(onStderr);
+        let timedOut = false;
+        let interrupted = false;
+        let timer = null;
+        
+        const onInterrupt = () => {
+          if (interrupted) {
+            stream.close();
+            return;
+          }
+          interrupted = true;
+          stream.signal('INT');
+        };
+        process.on('SIGINT', onInterrupt);
+        
+        if (timeout) {
+          timer = setTimeout(() => {
+            timedOut = true;
+            stream.signal('TERM');
+            stream.close();
+          }, timeout * 1000);
+        }
+        
+        stream.on('data', chunk => stdout.push(chunk));
+        stream.stderr.on('data', chunk => stderr.push(chunk));
+        if (stdin !== undefined) {
+          stream.end(stdin);
+        }
+        stream.on('close', (code, signal) => {
+          clearTimeout(timer);
+          process.removeListener('SIGINT', onInterrupt);
+          stdout.flush();
+          stderr.flush();
+          resolve({ code: code ?? null, signal: signal ?? null, timedOut, interrupted });
+        });
+      });
+    });
   }
   
   /**
-   * Execute a script on remote server
+   * Execute a script on remote server, streaming its output
    * @param {string} baseDir - Base directory on remote
    * @param {string} scriptName - Script filename
-   * @returns {object} Execution result with stdout and stderr
+   * @param {object} [options] - Options passed to streamCommand (onStdout, onStderr, timeout)
+   * @returns {Promise<object>} { code, signal, timedOut, interrupted }
    */
-  async executeScript(baseDir, scriptName) {
+  async executeScript(baseDir, scriptName, options = {}) {
     const scriptPath = `${baseDir}/${scriptName}`;
     
     // First check if script exists
-    const checkResult = await this.ssh.execCommand(`test -f "${scriptPath}" && echo "exists"`);
+    const checkResult = await this.ssh.execCommand(`test -f ${shellQuote(scriptPath)} && echo "exists"`);
     if (!checkResult.stdout.includes('exists')) {
       throw new Error(`Script not found: ${scriptPath}`);
     }
     
     // Make script executable
-    await this.ssh.execCommand(`chmod +x "${scriptPath}"`);
+    await this.ssh.execCommand(`chmod +x ${shellQuote(scriptPath)}`);
+    
+    return this.streamCommand(`cd ${shellQuote(baseDir)} && bash ${shellQuote(scriptPath)}`, options);
+  }
+  
+  /**
+   * Open an interactive login shell in a pseudo-terminal, connected to this
+   * process's terminal until the remote shell exits
+   * @param {string} [directory] - Directory to start the shell in
+   * @returns {Promise<object>} { code, signal }
+   */
+  openShell(directory) {
+    const { stdin, stdout, stderr } = process;
+    const command = `${directory ? `cd ${shellQuote(directory)} && ` : ''}exec "\${SHELL:-/bin/sh}" -l`;
+    const pty = {
+      term: process.env.TERM || 'xterm-256color',
+      cols: stdout.columns || 80,
+      rows: stdout.rows || 24
+    };
     
-    // Execute script
-    const result = await this.ssh.execCommand(`cd "${baseDir}" && bash "${scriptPath}"`, {
-      cwd: baseDir
+    return new Promise((resolve, reject) => {
+      this.ssh.connection.exec(command, { pty }, (error, stream) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        
+        // Raw mode passes Ctrl-C, Ctrl-D and arrow keys on to the remote shell
+        const onResize = () => stream.setWindow(stdout.rows, stdout.columns, 0, 0);
+        if (stdin.isTTY) {
+          stdin.setRawMode(true);
+        }
+        stdout.on('resize', onResize);
+        stdin.pipe(stream);
+        stream.pipe(stdout, { end: false });
+        stream.stderr.pipe(stderr, { end: false });
+        
+        stream.on('close', (code, signal) => {
+          stdout.removeListener('resize', onResize);
+          stdin.unpipe(stream);
+          if (stdin.isTTY) {
+            stdin.setRawMode(false);
+          }
+          stdin.pause();
+          resolve({ code: code ?? null, signal: signal ?? null });
+        });
+      });
     });
+  }
+  
+  /**
+   * List files on remote server
+   * @param {string} baseDir - Base directory on remote
+   * @param {string[]} skipDirectories - Directory names not to descend into
+   * @returns {string[]} File paths relative to baseDir
+   */
+  async listFiles(baseDir, skipDirectories = []) {
+    let command = `cd ${shellQuote(baseDir)} && find .`;
+    
+    if (skipDirectories.length > 0) {
+      const names = skipDirectories.map(dir => `-name ${shellQuote(dir)}`).join(' -o ');
+      command += ` -type d \\( ${names} \\) -prune -o`;
+    }
+    command += ' -type f -print';
+    
+    const result = await this.ssh.execCommand(command);
+    if (result.code !== 0) {
+      return [];
+    }
+    
+    return result.stdout
+      .split('\n')
+      .filter(line => line.startsWith('./'))
+      .map(line => line.slice(2));
+  }
+  
+  /**
+   * Look up a remote path over SFTP
+   * @param {string} remotePath - Path on remote
+   * @returns {Promise<{isDirectory: boolean, size: number, mtime: number}|null>} Null if the path does not exist, mtime in seconds
+   */
+  async statRemote(remotePath) {
+    const sftp = await this.ssh.requestSFTP();
+    
+    try {
+      const stats = await new Promise((resolve, reject) => {
+        sftp.stat(remotePath, (error, result) => (error ? reject(error) : resolve(result)));
+      });
+      return { isDirectory: stats.isDirectory(), size: stats.size, mtime: stats.mtime };
+    } catch (error) {
+      if (error.code === SFTP_NO_SUCH_FILE) {
+        return null;
+      }
+      throw new Error(`Cannot read ${remotePath}: ${error.message}`);
+    } finally {
+      sftp.end();
+    }
+  }
+  
+  /**
+   * List regular files under a remote directory over SFTP
+   * @param {string} baseDir - Directory on remote
+   * @param {function} [skip] - Called with (relativePath, isDirectory), returns true to leave a path out; skipped directories are not descended into
+   * @returns {Promise<Array<{remote: string, size: number, mtime: number}>>} Paths relative to baseDir, mtime in seconds
+   */
+  async listRemoteFiles(baseDir, skip = () => false) {
+    const sftp = await this.ssh.requestSFTP();
+    const files = [];
+    
+    const readdir = dir => new Promise((resolve, reject) => {
+      sftp.readdir(dir, (error, list) => (error ? reject(new Error(`Cannot list ${dir}: ${error.message}`)) : resolve(list)));
+    });
+    
+    const walk = async (relativeDir) => {
+      const entries = await readdir(relativeDir ? `${baseDir}/${relativeDir}` : baseDir);
+      
+      for (const entry of entries.sort((a, b) => a.filename.localeCompare(b.filename))) {
+        const relativePath = relativeDir ? `${relativeDir}/${entry.filename}` : entry.filename;
+        const isDirectory = entry.attrs.isDirectory();
+        
+        // Like find -type f, symlinks and special files are left out
+        if ((!isDirectory && !entry.attrs.isFile()) || skip(relativePath, isDirectory)) {
+          continue;
+        }
+        if (isDirectory) {
+          await walk(relativePath);
+        } else {
+          files.push({ remote: relativePath, size: entry.attrs.size, mtime: entry.attrs.mtime });
+        }
+      }
+    };
+    
+    try {
+      await walk('');
+    } finally {
+      sftp.end();
+    }
+    
+    return files;
+  }
+  
+  /**
+   * Download files over a pool of concurrent SFTP transfers, keeping their modification times
+   * @param {string} baseDir - Base directory on remote
+   * @param {Array<{remote: string, local: string, size: number, mtime: number}>} files - Remote paths relative to baseDir and local destinations
+   * @param {function} onProgress - Progress callback (receives completed count, total, file and byte counts)
+   * @param {object} options - Download options
+   * @param {number} options.concurrency - Number of parallel transfers (default: 4)
+   */
+  async downloadFiles(baseDir, files, onProgress, { concurrency = 4 } = {}) {
+    const total = files.length;
+    const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    const sftp = await this.ssh.requestSFTP();
+    
+    let next = 0;
+    let completed = 0;
+    let bytes = 0;
+    let failed = false;
+    
+    const worker = async () => {
+      while (next < total && !failed) {
+        const file = files[next++];
+        
+        try {
+          fs.mkdirSync(path.dirname(file.local), { recursive: true });
+          await this.ssh.getFile(file.local, `${baseDir}/${file.remote}`, sftp);
+          fs.utimesSync(file.local, file.mtime, file.mtime);
+        } catch (error) {
+          failed = true;
+          throw new Error(`Failed to download ${file.remote}: ${error.message}`);
+        }
+        
+        completed++;
+        bytes += file.size;
+        if (onProgress) {
+          onProgress(completed, total, file.remote, { bytes, totalBytes });
+        }
+      }
+    };
+    
+    try {
+      const workers = Math.max(1, Math.min(concurrency, total));
+      // Let in-flight transfers settle before closing the SFTP session
+      const results = await Promise.allSettled(Array.from({ length: workers }, worker));
+      const failure = results.find(result => result.status === 'rejected');
+      if (failure) {
+        throw failure.reason;
+      }
+    } finally {
+      sftp.end();
+    }
+  }
+  
+  /**
+   * Delete files on remote server and remove directories left empty
+   * @param {string} baseDir - Base directory on remote
+   * @param {string[]} files - File paths relative to baseDir
+   * @param {function} onProgress - Progress callback (receives deleted count and total)
+   */
+  async deleteFiles(baseDir, files, onProgress) {
+    const batchSize = 100;
+    
+    for (let i = 0; i < files.length; i += batchSize) {
+      const batch = files.slice(i, i + batchSize).map(shellQuote).join(' ');
+      const result = await this.ssh.execCommand(`cd ${shellQuote(baseDir)} && rm -f -- ${batch}`);
+      if (result.code !== 0) {
+        throw new Error(`Failed to delete files: ${result.stderr}`);
+      }
+      if (onProgress) onProgress(Math.min(i + batchSize, files.length), files.length);
+    }
+    
+    const dirs = Array.from(new Set(files.map(file => path.posix.dirname(file))))
+      .filter(dir => dir !== '.');
+      
+    for (let i = 0; i < dirs.length; i += batchSize) {
+      const batch = dirs.slice(i, i + batchSize).map(shellQuote).join(' ');
+      await this.ssh.execCommand(`cd ${shellQuote(baseDir)} && rmdir -p --ignore-fail-on-non-empty ${batch} 2>/dev/null`);
+    }
+  }
+  
+  /**
+   * Read the deploy manifest stored on remote server
+   * @param {string} baseDir - Base directory on remote
+   * @returns {object|null} Manifest object, or null if none exists
+   */
+  async readManifest(baseDir) {
+    const result = await this.ssh.execCommand(`cat ${shellQuote(`${baseDir}/${MANIFEST_FILENAME}`)} 2>/dev/null`);
+    return parseManifest(result.stdout);
+  }
+  
+  /**
+   * Write the deploy manifest to remote server
+   * @param {string} baseDir - Base directory on remote
+   * @param {object} manifest - Manifest object
+   */
+  async writeManifest(baseDir, manifest) {
+    const result = await this.ssh.execCommand(`cat > ${shellQuote(`${baseDir}/${MANIFEST_FILENAME}`)}`, {
+      stdin: JSON.stringify(manifest)
+    });
+    
+    if (result.code !== 0) {
+      throw new Error(`Failed to write manifest: ${result.stderr}`);
+    }
+  }
+  
+  /**
+   * Create a new release directory, seeded with a copy of the current release
+   * @param {string} baseDir - Base directory on remote
+   * @param {string} releaseId - Release id
+   * @returns {string} Full path of the release directory
+   */
+  async prepareRelease(baseDir, releaseId) {
+    const releaseDir = `${baseDir}/${RELEASES_DIR}/${releaseId}`;
+    const currentDir = `${baseDir}/${CURRENT_LINK}`;
+    
+    const result = await this.ssh.execCommand(
+      `mkdir -p ${shellQuote(releaseDir)} && if [ -d ${shellQuote(`${currentDir}/`)} ]; then cp -a ${shellQuote(`${currentDir}/.`)} ${shellQuote(`${releaseDir}/`)}; fi`
+    );
+    if (result.code !== 0) {
+      throw new Error(`Failed to prepare release: ${result.stderr}`);
+    }
+    
+    return releaseDir;
+  }
+  
+  /**
+   * Atomically point the current symlink at a release
+   * @param {string} baseDir - Base directory on remote
+   * @param {string} releaseId - Release id
+   */
+  async activateRelease(baseDir, releaseId) {
+    const tmpLink = `${CURRENT_LINK}.tmp-${releaseId}`;
+    const result = await this.ssh.execCommand(
+      `cd ${shellQuote(baseDir)} && ln -sfn ${shellQuote(`${RELEASES_DIR}/${releaseId}`)} ${shellQuote(tmpLink)} && mv -Tf ${shellQuote(tmpLink)} ${CURRENT_LINK}`
+    );
+    if (result.code !== 0) {
+      await this.ssh.execCommand(`cd ${shellQuote(baseDir)} && rm -f ${shellQuote(tmpLink)}`);
+      throw new Error(`Failed to switch ${CURRENT_LINK} to release ${releaseId}: ${result.stderr}`);
+    }
+  }
+  
+  /**
+   * List releases on remote server
+   * @param {string} baseDir - Base directory on remote
+   * @returns {string[]} Release ids, sorted oldest first
+   */
+  async listReleases(baseDir) {
+    const result = await this.ssh.execCommand(`ls -1 ${shellQuote(`${baseDir}/${RELEASES_DIR}`)} 2>/dev/null`);
+    return result.stdout
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .sort();
+  }
+  
+  /**
+   * Get the release the current symlink points at
+   * @param {string} baseDir - Base directory on remote
+   * @returns {string|null} Release id, or null if no release is active
+   */
+  async getCurrentRelease(baseDir) {
+    const result = await this.ssh.execCommand(`readlink ${shellQuote(`${baseDir}/${CURRENT_LINK}`)}`);
+    const target = result.stdout.trim();
+    return target ? path.posix.basename(target) : null;
+  }
+  
+  /**
+   * Remove release directories
+   * @param {string} baseDir - Base directory on remote
+   * @param {string[]} releases - Release ids to remove
+   */
+  async removeReleases(baseDir, releases) {
+    if (releases.length === 0) {
+      return;
+    }
     
-    return result;
+    const dirs = releases.map(release => shellQuote(`${RELEASES_DIR}/${release}`)).join(' ');
+    await this.ssh.execCommand(`cd ${shellQuote(baseDir)} && rm -rf ${dirs}`);
   }
   
   /**
@@ -114,7 +784,7 @@ class SSHDeployer {
    * @returns {boolean}
    */
   async directoryExists(dir) {
-    const result = await this.ssh.execCommand(`test -d "${dir}" && echo "exists"`);
+    const result = await this.ssh.execCommand(`test -d ${shellQuote(dir)} && echo "exists"`);
     return result.stdout.includes('exists');
   }
   
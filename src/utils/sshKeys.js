@@ -0,0 +1,52 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { utils: ssh2Utils } = require('ssh2');
+
+const DEFAULT_KEY_PATH = path.join(os.homedir(), '.ssh', 'id_ed25519');
+
+/**
+ * Read the public key belonging to a private key: from <key>.pub, or derived
+ * from the private key when it is not encrypted
+ * @param {string} keyPath - Path to the private key
+ * @returns {string} Public key line ("ssh-ed25519 AAAA... comment")
+ */
+function readPublicKey(keyPath) {
+  const publicKeyPath = `${keyPath}.pub`;
+  if (fs.existsSync(publicKeyPath)) {
+    return fs.readFileSync(publicKeyPath, 'utf8').trim();
+  }
+  
+  const key = ssh2Utils.parseKey(fs.readFileSync(keyPath));
+  if (key instanceof Error || (Array.isArray(key) && key.length === 0)) {
+    throw new Error(`Public key ${publicKeyPath} not found. Create it with: ssh-keygen -y -f ${keyPath} > ${publicKeyPath}`);
+  }
+  const parsed = Array.isArray(key) ? key[0] : key;
+  return `${parsed.type} ${parsed.getPublicSSH().toString('base64')}`;
+}
+
+/**
+ * Make sure an SSH key pair exists, generating an unencrypted ed25519 key if it does not
+ * @param {string} [keyPath] - Path to the private key
+ * @returns {{keyPath: string, publicKey: string, created: boolean}}
+ */
+function ensureKeyPair(keyPath = DEFAULT_KEY_PATH) {
+  if (fs.existsSync(keyPath)) {
+    return { keyPath, publicKey: readPublicKey(keyPath), created: false };
+  }
+  
+  const comment = `${os.userInfo().username}@${os.hostname()}`;
+  const pair = ssh2Utils.generateKeyPairSync('ed25519', { comment });
+  
+  fs.mkdirSync(path.dirname(keyPath), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(keyPath, pair.private, { mode: 0o600 });
+  fs.writeFileSync(`${keyPath}.pub`, `${pair.public}\n`, { mode: 0o644 });
+  
+  return { keyPath, publicKey: pair.public.trim(), created: true };
+}
+
+module.exports = {
+  DEFAULT_KEY_PATH,
+  readPublicKey,
+  ensureKeyPair
+};
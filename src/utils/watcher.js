@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Stat a path, returning null if it does not exist (anymore)
+ * @param {string} fullPath - Path to stat
+ * @returns {fs.Stats|null}
+ */
+function statIfExists(fullPath) {
+  try {
+    return fs.statSync(fullPath);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Watch a project directory for changes, skipping what the matcher excludes.
+ * Every directory gets its own watcher, so excluded directories such as node_modules
+ * are never watched (recursive fs.watch would watch them, and is not available on
+ * Linux before Node 20).
+ * @param {string} dir - Project directory
+ * @param {IgnoreMatcher} matcher - Exclusion rules of dir (see createIgnoreMatcher)
+ * @param {Function} onChange - Called with the path (relative to dir, forward slashes) of every
+ *   file or directory that was added, changed or removed and is not excluded
+ * @returns {{close: Function}} Watcher, close() stops watching
+ */
+function watchDirectory(dir, matcher, onChange) {
+  const watchers = new Map();
+  
+  /**
+   * Stop watching a directory and the directories below it
+   * @param {string} relativeDir - Directory relative to dir
+   */
+  const unwatch = (relativeDir) => {
+    for (const [watchedDir, watcher] of watchers) {
+      if (watchedDir === relativeDir || watchedDir.startsWith(`${relativeDir}/`)) {
+        watcher.close();
+        watchers.delete(watchedDir);
+      }
+    }
+  };
+  
+  /**
+   * Start watching a directory and the directories below it that are not excluded
+   * @param {string} relativeDir - Directory relative to dir ('' for dir itself)
+   */
+  const watchTree = (relativeDir) => {
+    const fullDir = path.join(dir, relativeDir);
+    if (watchers.has(relativeDir)) {
+      return;
+    }
+    
+    let watcher;
+    try {
+      watcher = fs.watch(fullDir, (eventType, name) => {
+        if (!name) {
+          return;
+        }
+        const relativePath = relativeDir ? `${relativeDir}/${name}` : String(name);
+        const stats = statIfExists(path.join(dir, relativePath));
+        
+        if (!stats) {
+          unwatch(relativePath);
+        } else if (matcher.ignores(relativePath, stats.isDirectory())) {
+          return;
+        } else if (stats.isDirectory()) {
+          watchTree(relativePath);
+        }
+        onChange(relativePath);
+      });
+    } catch (e) {
+      // The directory was removed before it could be watched
+      return;
+    }
+    // Raised e.g. when the watched directory is removed
+    watcher.on('error', () => unwatch(relativeDir));
+    watchers.set(relativeDir, watcher);
+    
+    let names = [];
+    try {
+      names = fs.readdirSync(fullDir);
+    } catch (e) {
+      return;
+    }
+    for (const name of names) {
+      const relativePath = relativeDir ? `${relativeDir}/${name}` : name;
+      const stats = statIfExists(path.join(dir, relativePath));
+      if (stats && stats.isDirectory() && !matcher.ignores(relativePath, true)) {
+        watchTree(relativePath);
+      }
+    }
+  };
+  
+  watchTree('');
+  
+  return {
+    close() {
+      watchers.forEach(watcher => watcher.close());
+      watchers.clear();
+    }
+  };
+}
+
+module.exports = { watchDirectory };
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, resolveConfig, mergeWithCliOptions, getPrimaryHost } = require('../src/utils/config');
+
+/**
+ * Run a test with a project directory holding the given config, and no user config
+ * @param {object} config - deployment-config.json contents
+ * @param {Function} fn - Called with the path of the config file
+ */
+function withProject(config, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spex-config-'));
+  const configHome = process.env.XDG_CONFIG_HOME;
+  process.env.XDG_CONFIG_HOME = path.join(dir, 'user-config');
+  try {
+    const configPath = path.join(dir, 'deployment-config.json');
+    fs.writeFileSync(configPath, JSON.stringify(config));
+    fn(configPath);
+  } finally {
+    if (configHome === undefined) {
+      delete process.env.XDG_CONFIG_HOME;
+    } else {
+      process.env.XDG_CONFIG_HOME = configHome;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const shared = {
+  hosts: ['10.0.0.1', '10.0.0.2'],
+  connection: { username: 'deploy', targetDirectory: '/srv/app' },
+  targets: {
+    single: { connection: { host: '10.0.0.9' } },
+    fleet: { hosts: ['10.0.1.1', '10.0.1.2'] },
+    user: { connection: { username: 'admin' } },
+    both: { hosts: ['10.0.2.1'], connection: { host: '10.0.2.9' } }
+  }
+};
+
+test('resolveConfig uses the shared hosts without a target', () => {
+  assert.deepStrictEqual(resolveConfig(shared).hosts, ['10.0.0.1', '10.0.0.2']);
+});
+
+test('resolveConfig lets a target connection.host replace the shared hosts', () => {
+  const config = resolveConfig(shared, 'single');
+  assert.deepStrictEqual(config.hosts, []);
+  assert.strictEqual(config.connection.host, '10.0.0.9');
+  assert.strictEqual(getPrimaryHost(config), '10.0.0.9');
+});
+
+test('resolveConfig lets target hosts replace the shared hosts', () => {
+  assert.deepStrictEqual(resolveConfig(shared, 'fleet').hosts, ['10.0.1.1', '10.0.1.2']);
+  assert.deepStrictEqual(resolveConfig(shared, 'both').hosts, ['10.0.2.1']);
+});
+
+test('resolveConfig keeps the shared hosts for a target that does not choose a host', () => {
+  const config = resolveConfig(shared, 'user');
+  assert.deepStrictEqual(config.hosts, ['10.0.0.1', '10.0.0.2']);
+  assert.strictEqual(config.connection.username, 'admin');
+});
+
+test('resolveConfig lets a project connection.host replace hosts of the user config', () => {
+  const config = resolveConfig({ connection: { host: '10.0.0.5' } }, undefined, { hosts: ['10.9.9.9'] });
+  assert.deepStrictEqual(config.hosts, []);
+});
+
+test('resolveConfig rejects an unknown target', () => {
+  assert.throws(() => resolveConfig(shared, 'prod'), /Unknown target "prod"\. Available targets: single, fleet, user, both/);
+});
+
+test('mergeWithCliOptions lets --hosts and -ip override the configured hosts', () => {
+  const config = resolveConfig(shared);
+  assert.deepStrictEqual(mergeWithCliOptions(config, { hosts: 'a, b' }).hosts, ['a', 'b']);
+  
+  const single = mergeWithCliOptions(config, { ip: '10.0.0.7' });
+  assert.deepStrictEqual(single.hosts, []);
+  assert.strictEqual(getPrimaryHost(single), '10.0.0.7');
+});
+
+test('loadConfig keeps ${SPEX_*} references in hooks for the shell', () => {
+  withProject({
+    connection: { host: '${SPEX_TEST_HOST:-10.0.0.5}' },
+    hooks: { afterDeploy: ['echo deployed ${SPEX_RELEASE_ID}'] }
+  }, (configPath) => {
+    const config = loadConfig(configPath);
+    assert.strictEqual(config.connection.host, '10.0.0.5');
+    assert.deepStrictEqual(config.hooks.afterDeploy, ['echo deployed ${SPEX_RELEASE_ID}']);
+  });
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { deploy } = require('../src/api/deploy');
+const { SSHDeployer } = require('../src/utils/sshDeployer');
+
+/**
+ * Dry-run a deploy and get the paths of the files it would upload
+ * @param {object} options - Deploy options
+ * @returns {Promise<string[]>}
+ */
+async function plannedFiles(options) {
+  const events = new EventEmitter();
+  let plan = null;
+  events.on('plan', (event) => { plan = event; });
+  await deploy({ ...options, dryRun: true, events });
+  return plan.files.map(file => file.path).sort();
+}
+
+test('deploy uploads the current directory, not the directory of the config', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spex-deploy-'));
+  const cwd = process.cwd();
+  const configHome = process.env.XDG_CONFIG_HOME;
+  process.env.XDG_CONFIG_HOME = path.join(dir, 'user-config');
+  try {
+    fs.mkdirSync(path.join(dir, 'configs'));
+    fs.mkdirSync(path.join(dir, 'app', 'src'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'configs', 'prod.json'), JSON.stringify({
+      connection: { host: '10.0.0.5', username: 'deploy', password: 'secret', targetDirectory: '/srv/app' }
+    }));
+    fs.writeFileSync(path.join(dir, 'app', 'index.js'), '');
+    fs.writeFileSync(path.join(dir, 'app', 'src', 'lib.js'), '');
+    const config = path.join(dir, 'configs', 'prod.json');
+    
+    process.chdir(path.join(dir, 'app'));
+    assert.deepStrictEqual(await plannedFiles({ config }), ['index.js', 'src/lib.js']);
+    
+    process.chdir(dir);
+    assert.deepStrictEqual(await plannedFiles({ config, source: 'app/src' }), ['lib.js']);
+  } finally {
+    process.chdir(cwd);
+    if (configHome === undefined) {
+      delete process.env.XDG_CONFIG_HOME;
+    } else {
+      process.env.XDG_CONFIG_HOME = configHome;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('deploy removes a release that was prepared but not activated', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spex-deploy-'));
+  const cwd = process.cwd();
+  const configHome = process.env.XDG_CONFIG_HOME;
+  process.env.XDG_CONFIG_HOME = path.join(dir, 'user-config');
+  
+  // Stand in for the server: preparing the release works, the upload fails
+  const calls = [];
+  const fake = {
+    connect: async function () { this.connected = true; },
+    getServerInfo: async () => ({ hostname: 'test', os: 'Linux', uptime: 'up' }),
+    readManifest: async () => null,
+    listFiles: async () => [],
+    prepareRelease: async (baseDir, releaseId) => { calls.push(['prepare', releaseId]); },
+    createDirectories: async () => {},
+    uploadFiles: async () => { throw new Error('Connection lost'); },
+    activateRelease: async (baseDir, releaseId) => { calls.push(['activate', releaseId]); },
+    removeReleases: async (baseDir, releases) => { calls.push(['remove', ...releases]); },
+    disconnect: function () { this.connected = false; }
+  };
+  const originals = {};
+  Object.keys(fake).forEach((name) => {
+    originals[name] = SSHDeployer.prototype[name];
+    SSHDeployer.prototype[name] = fake[name];
+  });
+  
+  try {
+    fs.writeFileSync(path.join(dir, 'deployment-config.json'), JSON.stringify({
+      connection: { host: '10.0.0.5', username: 'deploy', password: 'secret', targetDirectory: '/srv/app' }
+    }));
+    fs.writeFileSync(path.join(dir, 'index.js'), '');
+    process.chdir(dir);
+    
+    await assert.rejects(deploy({ release: true }), /Connection lost/);
+    
+    const releaseId = calls[0][1];
+    assert.deepStrictEqual(calls, [['prepare', releaseId], ['remove', releaseId]]);
+  } finally {
+    Object.assign(SSHDeployer.prototype, originals);
+    process.chdir(cwd);
+    if (configHome === undefined) {
+      delete process.env.XDG_CONFIG_HOME;
+    } else {
+      process.env.XDG_CONFIG_HOME = configHome;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseEnvFile, interpolateConfig } = require('../src/utils/env');
+
+const env = { HOST: '10.0.0.5', USER: 'deploy', EMPTY: '' };
+
+test('interpolateConfig expands ${VAR} and ${env:VAR} in nested strings', () => {
+  const config = {
+    connection: { host: '${HOST}', username: '${env:USER}', port: 22 },
+    hosts: ['${HOST}', 'other'],
+    enabled: true
+  };
+  assert.deepStrictEqual(interpolateConfig(config, env), {
+    connection: { host: '10.0.0.5', username: 'deploy', port: 22 },
+    hosts: ['10.0.0.5', 'other'],
+    enabled: true
+  });
+});
+
+test('interpolateConfig expands several references inside one string', () => {
+  assert.strictEqual(interpolateConfig('${USER}@${HOST}:/srv', env), 'deploy@10.0.0.5:/srv');
+});
+
+test('interpolateConfig uses the default for unset and empty variables', () => {
+  assert.strictEqual(interpolateConfig('${MISSING:-fallback}', env), 'fallback');
+  assert.strictEqual(interpolateConfig('${EMPTY:-fallback}', env), 'fallback');
+  assert.strictEqual(interpolateConfig('${env:MISSING:-}', env), '');
+});
+
+test('interpolateConfig keeps $${...} as a literal reference', () => {
+  assert.strictEqual(interpolateConfig('echo $${HOST}', env), 'echo ${HOST}');
+});
+
+test('interpolateConfig names the config key of an unset variable', () => {
+  assert.throws(
+    () => interpolateConfig({ targets: { prod: { connection: { password: '${PROD_PASSWORD}' } } } }, env),
+    /PROD_PASSWORD is not set \(referenced by "targets\.prod\.connection\.password"\)/
+  );
+  assert.throws(() => interpolateConfig({ hosts: ['${NOPE}'] }, env), /referenced by "hosts\[0\]"/);
+});
+
+test('interpolateConfig leaves hooks for the shell to expand', () => {
+  const config = {
+    connection: { host: '${HOST}' },
+    hooks: { afterDeploy: ['echo deployed ${SPEX_RELEASE_ID}'] },
+    targets: { prod: { hooks: { beforeUpload: 'scripts/${HOST}.sh' } } }
+  };
+  assert.deepStrictEqual(interpolateConfig(config, env), {
+    connection: { host: '10.0.0.5' },
+    hooks: { afterDeploy: ['echo deployed ${SPEX_RELEASE_ID}'] },
+    targets: { prod: { hooks: { beforeUpload: 'scripts/${HOST}.sh' } } }
+  });
+});
+
+test('parseEnvFile handles quotes, export and comments', () => {
+  const vars = parseEnvFile([
+    '# comment',
+    'export A=1',
+    'B = "two words"',
+    "C='single # not a comment'",
+    'D=value # comment',
+    'E="line\\nbreak"',
+    'not a variable'
+  ].join('\n'));
+  assert.deepStrictEqual(vars, {
+    A: '1',
+    B: 'two words',
+    C: 'single # not a comment',
+    D: 'value',
+    E: 'line\nbreak'
+  });
+});
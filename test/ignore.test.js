@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IgnoreMatcher, compileRule, parseIgnoreFile, createIgnoreMatcher } = require('../src/utils/ignore');
+
+/**
+ * Check a path against a single pattern
+ * @param {string} pattern - Pattern line
+ * @param {string} relativePath - Path to check
+ * @returns {boolean}
+ */
+function matches(pattern, relativePath) {
+  return compileRule(pattern).regex.test(relativePath);
+}
+
+test('compileRule skips blank lines and comments', () => {
+  assert.strictEqual(compileRule(''), null);
+  assert.strictEqual(compileRule('   '), null);
+  assert.strictEqual(compileRule('# comment'), null);
+  assert.ok(matches('\\#file', '#file'));
+});
+
+test('compileRule matches unanchored patterns at any depth', () => {
+  assert.ok(matches('*.log', 'app.log'));
+  assert.ok(matches('*.log', 'logs/deep/app.log'));
+  assert.ok(!matches('*.log', 'app.log.txt'));
+  assert.ok(matches('tmp', 'a/b/tmp'));
+});
+
+test('compileRule anchors patterns with a leading or middle slash', () => {
+  assert.ok(matches('/build', 'build'));
+  assert.ok(!matches('/build', 'src/build'));
+  assert.ok(matches('docs/*.md', 'docs/a.md'));
+  assert.ok(!matches('docs/*.md', 'x/docs/a.md'));
+  assert.ok(!matches('docs/*.md', 'docs/sub/a.md'));
+});
+
+test('compileRule supports ** for any number of directories', () => {
+  assert.ok(matches('**/cache', 'cache'));
+  assert.ok(matches('**/cache', 'a/b/cache'));
+  assert.ok(matches('a/**/b', 'a/b'));
+  assert.ok(matches('a/**/b', 'a/x/y/b'));
+  assert.ok(matches('dist/**', 'dist/js/app.js'));
+  assert.ok(!matches('dist/**', 'src/dist/app.js'));
+});
+
+test('compileRule supports ? and character classes', () => {
+  assert.ok(matches('file?.txt', 'file1.txt'));
+  assert.ok(!matches('file?.txt', 'file10.txt'));
+  assert.ok(matches('[ab].js', 'a.js'));
+  assert.ok(!matches('[!ab].js', 'a.js'));
+  assert.ok(matches('[!ab].js', 'c.js'));
+});
+
+test('compileRule marks negated and directory-only rules', () => {
+  const negated = compileRule('!keep.log');
+  assert.strictEqual(negated.negate, true);
+  assert.ok(negated.regex.test('keep.log'));
+  
+  const dirOnly = compileRule('cache/');
+  assert.strictEqual(dirOnly.dirOnly, true);
+  assert.ok(dirOnly.regex.test('src/cache'));
+});
+
+test('compileRule only matches below the base directory of a nested ignore file', () => {
+  const unanchored = compileRule('*.log', { base: 'app' });
+  assert.ok(unanchored.regex.test('app/debug.log'));
+  assert.ok(unanchored.regex.test('app/deep/debug.log'));
+  assert.ok(!unanchored.regex.test('debug.log'));
+  assert.ok(!unanchored.regex.test('other/app/debug.log'));
+  
+  const anchored = compileRule('/build', { base: 'a.b' });
+  assert.ok(anchored.regex.test('a.b/build'));
+  assert.ok(!anchored.regex.test('axb/build'));
+  assert.ok(!anchored.regex.test('a.b/src/build'));
+});
+
+test('IgnoreMatcher lets the last matching rule win', () => {
+  const matcher = new IgnoreMatcher().add(['*.log', '!keep.log']);
+  assert.ok(matcher.ignores('app.log', false));
+  assert.ok(!matcher.ignores('keep.log', false));
+  
+  matcher.add(['keep.log']);
+  assert.ok(matcher.ignores('keep.log', false));
+});
+
+test('IgnoreMatcher applies directory-only rules to directories only', () => {
+  const matcher = new IgnoreMatcher().add(['cache/']);
+  assert.ok(matcher.ignores('cache', true));
+  assert.ok(!matcher.ignores('cache', false));
+  
+  const fileOnly = new IgnoreMatcher().add(['.DS_Store'], { fileOnly: true });
+  assert.ok(fileOnly.ignores('.DS_Store', false));
+  assert.ok(!fileOnly.ignores('.DS_Store', true));
+});
+
+test('IgnoreMatcher.isExcluded does not re-include files of an excluded directory', () => {
+  const matcher = new IgnoreMatcher().add(['logs/', '!logs/.keep']);
+  assert.ok(matcher.isExcluded('logs/app.txt'));
+  assert.ok(matcher.isExcluded('logs/.keep'));
+  assert.ok(!matcher.isExcluded('src/logs.js'));
+  
+  const contents = new IgnoreMatcher().add(['logs/*', '!logs/.keep']);
+  assert.ok(contents.isExcluded('logs/app.txt'));
+  assert.ok(!contents.isExcluded('logs/.keep'));
+});
+
+test('parseIgnoreFile keeps pattern lines only', () => {
+  assert.deepStrictEqual(parseIgnoreFile('# comment\n\n*.tmp\r\n!keep.tmp\n'), ['*.tmp', '!keep.tmp']);
+});
+
+test('createIgnoreMatcher combines the deploy config with .spexignore', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spex-ignore-'));
+  try {
+    fs.writeFileSync(path.join(dir, '.spexignore'), 'secret/\n!important.log\n');
+    const matcher = createIgnoreMatcher({
+      excludeDirectories: ['node_modules'],
+      excludeFiles: ['.DS_Store'],
+      excludePatterns: ['*.log']
+    }, dir);
+    
+    assert.deepStrictEqual(matcher.sources, ['.spexignore']);
+    assert.ok(matcher.isExcluded('node_modules/x/index.js'));
+    assert.ok(matcher.isExcluded('a/.DS_Store'));
+    assert.ok(matcher.isExcluded('debug.log'));
+    assert.ok(!matcher.isExcluded('important.log'));
+    assert.ok(matcher.isExcluded('secret/key.txt'));
+    assert.ok(matcher.isExcluded('.spex.env'));
+    assert.ok(!matcher.isExcluded('src/index.js'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('createIgnoreMatcher always excludes .spex.env, .env and the config file', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spex-ignore-'));
+  try {
+    fs.writeFileSync(path.join(dir, '.spexignore'), '!.env\n!.spexrc\n');
+    const matcher = createIgnoreMatcher({}, dir, path.join(dir, '.spexrc'));
+    
+    assert.ok(matcher.isExcluded('.spex.env'));
+    assert.ok(matcher.isExcluded('.env'));
+    assert.ok(matcher.isExcluded('.spexrc'));
+    assert.ok(!matcher.isExcluded('app/.spexrc'));
+    assert.ok(!matcher.isExcluded('.env.example'));
+    
+    const nested = createIgnoreMatcher({}, dir, path.join(dir, 'configs', 'spex.config.yml'));
+    assert.ok(nested.isExcluded('configs/spex.config.yml'));
+    assert.ok(!createIgnoreMatcher({}, dir, path.join(dir, 'package.json')).isExcluded('package.json'));
+    assert.ok(!createIgnoreMatcher({}, path.join(dir, 'app'), path.join(dir, '.spexrc')).isExcluded('.spexrc'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('createIgnoreMatcher reads .gitignore only with useGitignore', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spex-ignore-'));
+  try {
+    fs.writeFileSync(path.join(dir, '.gitignore'), 'dist/\n');
+    assert.ok(!createIgnoreMatcher({}, dir).isExcluded('dist/app.js'));
+    assert.ok(createIgnoreMatcher({ useGitignore: true }, dir).isExcluded('dist/app.js'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('createIgnoreMatcher reads nested ignore files relative to their directory', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spex-ignore-'));
+  try {
+    fs.mkdirSync(path.join(dir, 'app', 'cache'), { recursive: true });
+    fs.mkdirSync(path.join(dir, 'node_modules', 'pkg'), { recursive: true });
+    fs.writeFileSync(path.join(dir, '.spexignore'), '*.tmp\n');
+    fs.writeFileSync(path.join(dir, 'app', '.spexignore'), '/cache/\n!keep.tmp\n');
+    fs.writeFileSync(path.join(dir, 'app', '.gitignore'), 'secret.txt\n');
+    fs.writeFileSync(path.join(dir, 'node_modules', 'pkg', '.spexignore'), '*\n');
+    const matcher = createIgnoreMatcher({ excludeDirectories: ['node_modules'] }, dir);
+    
+    assert.deepStrictEqual(matcher.sources, ['.spexignore', 'app/.spexignore']);
+    assert.ok(matcher.isExcluded('app/cache/data.bin'));
+    assert.ok(!matcher.isExcluded('cache/data.bin'));
+    assert.ok(matcher.isExcluded('a.tmp'));
+    assert.ok(matcher.isExcluded('app/a.tmp'));
+    assert.ok(!matcher.isExcluded('app/keep.tmp'));
+    assert.ok(matcher.isExcluded('keep.tmp'));
+    assert.ok(!matcher.isExcluded('app/secret.txt'));
+    
+    const withGitignore = createIgnoreMatcher({ useGitignore: true }, dir);
+    assert.ok(withGitignore.isExcluded('app/secret.txt'));
+    assert.ok(!withGitignore.isExcluded('secret.txt'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkHostKey, formatHost, getKeyType } = require('../src/utils/knownHosts');
+
+/**
+ * Build a fake SSH public key blob of a given type
+ * @param {string} type - Key type, e.g. "ssh-ed25519"
+ * @returns {Buffer}
+ */
+function makeKey(type) {
+  const name = Buffer.from(type);
+  const data = crypto.randomBytes(32);
+  const blob = Buffer.alloc(8 + name.length + data.length);
+  blob.writeUInt32BE(name.length, 0);
+  name.copy(blob, 4);
+  blob.writeUInt32BE(data.length, 4 + name.length);
+  data.copy(blob, 8 + name.length);
+  return blob;
+}
+
+/**
+ * Hash a host name the way OpenSSH HashKnownHosts does
+ * @param {string} host - Host as formatted by formatHost
+ * @returns {string}
+ */
+function hashHost(host) {
+  const salt = crypto.randomBytes(20);
+  const hash = crypto.createHmac('sha1', salt).update(host).digest('base64');
+  return `|1|${salt.toString('base64')}|${hash}`;
+}
+
+/**
+ * Run a test with a temporary known_hosts file
+ * @param {string[]} lines - File lines
+ * @param {Function} fn - Called with the file path
+ */
+function withKnownHosts(lines, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spex-known-hosts-'));
+  const file = path.join(dir, 'known_hosts');
+  try {
+    fs.writeFileSync(file, `${lines.join('\n')}\n`);
+    fn(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const key = makeKey('ssh-ed25519');
+const otherKey = makeKey('ssh-ed25519');
+const rsaKey = makeKey('ssh-rsa');
+
+test('formatHost brackets hosts with a non-standard port', () => {
+  assert.strictEqual(formatHost('10.0.0.5', 22), '10.0.0.5');
+  assert.strictEqual(formatHost('10.0.0.5'), '10.0.0.5');
+  assert.strictEqual(formatHost('10.0.0.5', 2222), '[10.0.0.5]:2222');
+  assert.strictEqual(getKeyType(key), 'ssh-ed25519');
+});
+
+test('checkHostKey finds a known key by plain, wildcard or hashed host', () => {
+  const encoded = key.toString('base64');
+  withKnownHosts([
+    '# comment',
+    `other,10.0.0.5 ssh-ed25519 ${encoded}`,
+    `*.example.com ssh-ed25519 ${encoded}`,
+    `${hashHost('[hashed.local]:2222')} ssh-ed25519 ${encoded}`
+  ], (file) => {
+    assert.strictEqual(checkHostKey('10.0.0.5', 22, key, [file]).status, 'known');
+    assert.strictEqual(checkHostKey('10.0.0.5', 22, key, [file]).line, 2);
+    assert.strictEqual(checkHostKey('web.example.com', 22, key, [file]).status, 'known');
+    assert.strictEqual(checkHostKey('hashed.local', 2222, key, [file]).status, 'known');
+    assert.strictEqual(checkHostKey('hashed.local', 22, key, [file]).status, 'unknown');
+  });
+});
+
+test('checkHostKey reports a changed key of the same type with the expected fingerprint', () => {
+  withKnownHosts([`10.0.0.5 ssh-ed25519 ${otherKey.toString('base64')}`], (file) => {
+    const check = checkHostKey('10.0.0.5', 22, key, [file]);
+    assert.strictEqual(check.status, 'changed');
+    assert.strictEqual(check.file, file);
+    assert.strictEqual(check.line, 1);
+    assert.match(check.expected, /^SHA256:/);
+    assert.notStrictEqual(check.expected, check.fingerprint);
+  });
+});
+
+test('checkHostKey treats a key of another type as unknown, not changed', () => {
+  withKnownHosts([`10.0.0.5 ssh-rsa ${rsaKey.toString('base64')}`], (file) => {
+    assert.strictEqual(checkHostKey('10.0.0.5', 22, key, [file]).status, 'unknown');
+  });
+});
+
+test('checkHostKey accepts the key from any file and skips missing files', () => {
+  withKnownHosts([`10.0.0.5 ssh-ed25519 ${otherKey.toString('base64')}`], (first) => {
+    withKnownHosts([`10.0.0.5 ssh-ed25519 ${key.toString('base64')}`], (second) => {
+      const check = checkHostKey('10.0.0.5', 22, key, ['/nonexistent/known_hosts', first, second]);
+      assert.strictEqual(check.status, 'known');
+      assert.strictEqual(check.file, second);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MANIFEST_FILENAME, buildManifest, parseManifest, getChangedFiles } = require('../src/utils/manifest');
+
+/**
+ * Build a manifest object from file entries
+ * @param {object} files - Entries by remote path
+ * @returns {object}
+ */
+function manifestOf(files) {
+  return { version: 1, generatedAt: '2024-01-01T00:00:00.000Z', files };
+}
+
+const files = [
+  { local: '/project/a.txt', remote: 'a.txt' },
+  { local: '/project/src/b.js', remote: 'src/b.js' },
+  { local: '/project/c.css', remote: 'c.css' }
+];
+const local = manifestOf({
+  'a.txt': { size: 1, mtime: 1, hash: 'aaa' },
+  'src/b.js': { size: 2, mtime: 2, hash: 'bbb' },
+  'c.css': { size: 3, mtime: 3, hash: 'ccc' }
+});
+
+test('getChangedFiles uploads everything without a remote manifest', () => {
+  assert.deepStrictEqual(getChangedFiles(files, local, null), files);
+});
+
+test('getChangedFiles selects new files and files with a different size or hash', () => {
+  const remote = manifestOf({
+    'a.txt': { size: 1, mtime: 1, hash: 'aaa' },
+    'src/b.js': { size: 2, mtime: 2, hash: 'old' },
+    'c.css': { size: 4, mtime: 3, hash: 'ccc' }
+  });
+  assert.deepStrictEqual(getChangedFiles(files, local, remote).map(file => file.remote), ['src/b.js', 'c.css']);
+  
+  const { 'c.css': removed, ...withoutCss } = local.files;
+  assert.deepStrictEqual(getChangedFiles(files, local, manifestOf(withoutCss)).map(file => file.remote), ['c.css']);
+});
+
+test('getChangedFiles ignores a different mtime when the contents match', () => {
+  const remote = manifestOf({
+    'a.txt': { size: 1, mtime: 99, hash: 'aaa' },
+    'src/b.js': { size: 2, mtime: 99, hash: 'bbb' },
+    'c.css': { size: 3, mtime: 99, hash: 'ccc' }
+  });
+  assert.deepStrictEqual(getChangedFiles(files, local, remote), []);
+});
+
+test('parseManifest rejects missing, broken and foreign manifests', () => {
+  assert.strictEqual(parseManifest(''), null);
+  assert.strictEqual(parseManifest('{not json'), null);
+  assert.strictEqual(parseManifest(JSON.stringify({ version: 2, files: {} })), null);
+  assert.strictEqual(parseManifest(JSON.stringify({ version: 1 })), null);
+  assert.deepStrictEqual(parseManifest(JSON.stringify(local)), local);
+});
+
+test('buildManifest records size and SHA-256 hash of each file', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spex-manifest-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'a.txt'), 'hello');
+    const manifest = buildManifest([{ local: path.join(dir, 'a.txt'), remote: 'a.txt' }]);
+    
+    assert.strictEqual(manifest.version, 1);
+    assert.strictEqual(manifest.files['a.txt'].size, 5);
+    assert.strictEqual(manifest.files['a.txt'].hash, '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824');
+    assert.ok(!(MANIFEST_FILENAME in manifest.files));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createReleaseId, getReleasesToPrune, getRollbackTarget } = require('../src/utils/releases');
+
+const releases = ['20240101000000', '20240102000000', '20240103000000', '20240104000000'];
+
+test('createReleaseId uses the UTC time down to the second', () => {
+  assert.strictEqual(createReleaseId(new Date('2024-01-15T09:30:42.123Z')), '20240115093042');
+});
+
+test('getReleasesToPrune removes the oldest releases beyond keep', () => {
+  assert.deepStrictEqual(getReleasesToPrune(releases, 2, '20240104000000'), ['20240101000000', '20240102000000']);
+  assert.deepStrictEqual(getReleasesToPrune(releases, 4, '20240104000000'), []);
+  assert.deepStrictEqual(getReleasesToPrune(releases, 10, null), []);
+});
+
+test('getReleasesToPrune never removes the current release', () => {
+  assert.deepStrictEqual(getReleasesToPrune(releases, 1, '20240101000000'), ['20240102000000', '20240103000000']);
+});
+
+test('getReleasesToPrune keeps everything for a missing or invalid keep', () => {
+  assert.deepStrictEqual(getReleasesToPrune(releases, 0, null), []);
+  assert.deepStrictEqual(getReleasesToPrune(releases, undefined, null), []);
+  assert.deepStrictEqual(getReleasesToPrune(releases, -1, null), []);
+});
+
+test('getRollbackTarget defaults to the release before the current one', () => {
+  assert.strictEqual(getRollbackTarget(releases, '20240104000000'), '20240103000000');
+  assert.strictEqual(getRollbackTarget(releases, '20240102000000'), '20240101000000');
+});
+
+test('getRollbackTarget fails without a previous release', () => {
+  assert.throws(() => getRollbackTarget(releases, '20240101000000'), /No previous release/);
+  assert.throws(() => getRollbackTarget(releases, null), /No previous release/);
+  assert.throws(() => getRollbackTarget([], null), /No previous release/);
+});
+
+test('getRollbackTarget accepts an existing requested release only', () => {
+  assert.strictEqual(getRollbackTarget(releases, '20240104000000', '20240101000000'), '20240101000000');
+  assert.throws(() => getRollbackTarget(releases, '20240104000000', '20230101000000'), /Release not found: 20230101000000/);
+});
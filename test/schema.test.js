@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateSchema, suggest } = require('../src/utils/schema');
+const CONFIG_SCHEMA = require('../schema/deployment-config.schema.json');
+
+test('validateSchema accepts a valid deployment config', () => {
+  const config = {
+    connection: { host: '10.0.0.5', port: 22, username: 'deploy', targetDirectory: '/srv/app' },
+    deploy: { excludeFiles: ['.env'], concurrency: 4 },
+    hooks: { afterDeploy: ['sudo systemctl restart app'] },
+    targets: { staging: { connection: { host: '10.0.0.6' } } }
+  };
+  assert.deepStrictEqual(validateSchema(config, CONFIG_SCHEMA), []);
+});
+
+test('validateSchema suggests the closest known key for a typo', () => {
+  const errors = validateSchema({ deploy: { excludeFile: ['.env'] } }, CONFIG_SCHEMA);
+  assert.deepStrictEqual(errors, [{ path: 'deploy.excludeFile', message: 'unknown key (did you mean "excludeFiles"?)' }]);
+  
+  const [targetError] = validateSchema({ targets: { prod: { conection: {} } } }, CONFIG_SCHEMA);
+  assert.strictEqual(targetError.path, 'targets.prod.conection');
+  assert.match(targetError.message, /did you mean "connection"/);
+});
+
+test('validateSchema reports unknown keys without a close match plainly', () => {
+  assert.deepStrictEqual(validateSchema({ zzzzzzzz: 1 }, CONFIG_SCHEMA), [{ path: 'zzzzzzzz', message: 'unknown key' }]);
+});
+
+test('validateSchema reports wrong types, ranges and array items with their path', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      port: { type: 'integer', minimum: 1, maximum: 65535 },
+      names: { type: 'array', items: { type: 'string' } },
+      mode: { enum: ['a', 'b'] }
+    }
+  };
+  assert.deepStrictEqual(validateSchema({ port: 0 }, schema), [{ path: 'port', message: 'must be at least 1, got 0' }]);
+  assert.deepStrictEqual(validateSchema({ port: 70000 }, schema), [{ path: 'port', message: 'must be at most 65535, got 70000' }]);
+  assert.strictEqual(validateSchema({ port: '22' }, schema)[0].path, 'port');
+  assert.strictEqual(validateSchema({ names: ['a', 5] }, schema)[0].path, 'names[1]');
+  assert.strictEqual(validateSchema({ mode: 'c' }, schema)[0].path, 'mode');
+});
+
+test('validateSchema passes a value matching any of anyOf and resolves $ref', () => {
+  const schema = {
+    definitions: { name: { type: 'string' } },
+    anyOf: [{ $ref: '#/definitions/name' }, { type: 'boolean', enum: [false] }]
+  };
+  assert.deepStrictEqual(validateSchema('agent.sock', schema), []);
+  assert.deepStrictEqual(validateSchema(false, schema), []);
+  assert.strictEqual(validateSchema(true, schema).length, 1);
+});
+
+test('suggest matches case-insensitively, within a few typos, or by prefix', () => {
+  const keys = ['excludeDirectories', 'excludeFiles', 'excludePatterns', 'mirror'];
+  assert.strictEqual(suggest('MIRROR', keys), 'mirror');
+  assert.strictEqual(suggest('mirorr', keys), 'mirror');
+  assert.strictEqual(suggest('exclude', keys), 'excludeDirectories');
+  assert.strictEqual(suggest('unrelated', keys), null);
+});
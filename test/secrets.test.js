@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MASK, registerSecret, registerConfigSecrets, maskSecrets, createMasker } = require('../src/utils/secrets');
+
+registerSecret('hunter2-pass');
+registerConfigSecrets({ connection: { host: 'example.com', passphrase: 'open-sesame' } });
+// Too short to be masked without hiding unrelated output
+registerSecret('ab');
+
+test('maskSecrets replaces every registered secret', () => {
+  assert.strictEqual(maskSecrets('login hunter2-pass / open-sesame'), `login ${MASK} / ${MASK}`);
+  assert.strictEqual(maskSecrets('example.com ab'), 'example.com ab');
+});
+
+test('createMasker masks a secret split across chunks', () => {
+  const masker = createMasker();
+  const written = ['password: hun', 'ter2', '-pass done\n'].map(chunk => masker.push(chunk));
+  
+  assert.deepStrictEqual(written, ['password: ', '', `${MASK} done\n`]);
+  assert.strictEqual(masker.holding, false);
+});
+
+test('createMasker only holds back an end that may start a secret', () => {
+  const masker = createMasker();
+  assert.strictEqual(masker.push('plain output\n'), 'plain output\n');
+  assert.strictEqual(masker.holding, false);
+  
+  assert.strictEqual(masker.push('key open-'), 'key ');
+  assert.strictEqual(masker.holding, true);
+  assert.strictEqual(masker.push('door\n'), 'open-door\n');
+  
+  assert.strictEqual(masker.push('ends with hunt'), 'ends with ');
+  assert.strictEqual(masker.flush(), 'hunt');
+  assert.strictEqual(masker.holding, false);
+});
@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const { shellQuote } = require('../src/utils/shell');
+
+test('shellQuote passes any value through the shell as a single argument', () => {
+  const values = ['plain', 'with space', "it's", '$(id) `id` ${HOME}', 'a\nb', '"; rm -rf /'];
+  for (const value of values) {
+    const output = execFileSync('sh', ['-c', `printf %s ${shellQuote(value)}`], { encoding: 'utf8' });
+    assert.strictEqual(output, value);
+  }
+});
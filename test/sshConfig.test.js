@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseJumpHost } = require('../src/utils/sshConfig');
+
+test('parseJumpHost reads user, host and port', () => {
+  assert.deepStrictEqual(parseJumpHost('admin@bastion:2222'), { host: 'bastion', username: 'admin', port: 2222 });
+  assert.deepStrictEqual(parseJumpHost('bastion'), { host: 'bastion', username: undefined, port: undefined });
+});
+
+test('parseJumpHost rejects a chain of several hops', () => {
+  assert.throws(() => parseJumpHost('admin@first,second:2222'), /Multiple ProxyJump hops are not supported/);
+});